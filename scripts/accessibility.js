@@ -11,6 +11,7 @@ class AccessibilityManager {
       screenReaderMode: false,
       focusEnhancement: false,
     };
+    this.defaultSettings = { ...this.settings };
 
     this.announcer = null;
     this.focusHistory = [];
@@ -344,8 +345,16 @@ class AccessibilityManager {
       "game-start": "Game started. Watch the sequence and repeat it.",
       "sequence-show": "Showing sequence. Listen and watch carefully.",
       "sequence-input": "Your turn. Click the colors in the correct order.",
+      "sequence-input-backward": `Your turn. Click all ${details} colors in reverse order, starting with the last one.`,
+      "sequence-input-every-other": `Your turn. Click every other color, starting with the first. ${details} colors in total.`,
+      "sequence-input-last-n": `Your turn. Click only the last ${details} colors, in order.`,
+      "pattern-show": `Showing a pattern of ${details} tiles. Watch carefully.`,
+      "pattern-input": "Your turn. Select the tiles that lit up.",
+      "word-show": `Showing a chain of ${details} words. Listen carefully.`,
+      "word-input": "Your turn. Recall the words in order.",
       correct: "Correct! Well done.",
       incorrect: "Incorrect. Try again.",
+      "life-lost": `Incorrect. ${details}. The sequence will play again.`,
       "level-up": `Level completed! Moving to level ${details}.`,
       "game-over": `Game over. Final score: ${details}.`,
       pause: "Game paused.",
@@ -377,11 +386,26 @@ class AccessibilityManager {
     }
   }
 
+  // The local copy applies the settings before stored data has loaded;
+  // the active profile keeps its own copy
   saveSettings() {
     localStorage.setItem(
       "memorypal-accessibility",
       JSON.stringify(this.settings)
     );
+
+    if (window.storageManager) {
+      window.storageManager.saveAccessibilitySettings(this.settings);
+    }
+  }
+
+  applyProfileSettings(settings) {
+    this.settings = { ...this.defaultSettings, ...settings };
+    this.applyAllSettings();
+    localStorage.setItem(
+      "memorypal-accessibility",
+      JSON.stringify(this.settings)
+    );
   }
 
   loadSettings() {
@@ -24,8 +24,29 @@ class MemoryPalApp {
       modalBody: document.getElementById("modal-body"),
       modalClose: document.querySelector(".modal-close"),
       loading: document.getElementById("loading"),
+      profileAvatar: document.getElementById("profile-avatar"),
+      profileName: document.getElementById("profile-name"),
+      profileList: document.getElementById("profile-list"),
+      profileStatus: document.getElementById("profile-status"),
+      newProfileForm: document.getElementById("new-profile-form"),
+      newProfileName: document.getElementById("new-profile-name"),
+      newProfileAvatar: document.getElementById("new-profile-avatar"),
+      importFile: document.getElementById("import-data-file"),
+      importDropZone: document.getElementById("import-drop-zone"),
+      importStatus: document.getElementById("import-status"),
+      createBackupBtn: document.getElementById("create-backup"),
+      backupList: document.getElementById("backup-list"),
     };
 
+    this.gameNames = {
+      sequence: "Sequence Memory",
+      matching: "Card Matching",
+      patterns: "Pattern Memory",
+      wordchain: "Word Chain",
+    };
+    this.pendingImport = null;
+    this.passphraseRequest = null;
+
     this.init();
   }
 
@@ -43,6 +64,12 @@ class MemoryPalApp {
 
       this.loadUserPreferences();
 
+      this.setupProfiles();
+
+      this.setupDataImport();
+
+      this.setupBackups();
+
       this.initializeGames();
 
       this.updateProfileStats();
@@ -50,6 +77,10 @@ class MemoryPalApp {
       this.isInitialized = true;
       this.hideLoading();
 
+      if (window.storageManager.loadError) {
+        this.showError(window.storageManager.loadError);
+      }
+
       if (window.accessibilityManager) {
         window.accessibilityManager.announce(
           "MemoryPal is ready. Choose a game to start training your memory."
@@ -208,22 +239,18 @@ class MemoryPalApp {
   loadUserPreferences() {
     if (!window.storageManager) return;
 
+    // Each profile has its own accessibility settings; a profile that has
+    // none yet keeps the ones in use
     const accessibilitySettings =
       window.storageManager.getAccessibilitySettings();
-    if (accessibilitySettings && window.accessibilityManager) {
-      // Apply saved accessibility settings
-      Object.entries(accessibilitySettings).forEach(([key, value]) => {
-        const element = document.getElementById(
-          key.replace(/([A-Z])/g, "-$1").toLowerCase()
+    if (window.accessibilityManager) {
+      if (Object.keys(accessibilitySettings || {}).length > 0) {
+        window.accessibilityManager.applyProfileSettings(accessibilitySettings);
+      } else {
+        window.storageManager.saveAccessibilitySettings(
+          window.accessibilityManager.settings
         );
-        if (element) {
-          if (element.type === "checkbox") {
-            element.checked = value;
-          } else if (element.type === "range") {
-            element.value = value;
-          }
-        }
-      });
+      }
     }
 
     const lastGame = window.storageManager.getUserPreference(
@@ -262,14 +289,9 @@ class MemoryPalApp {
       window.storageManager.saveUserPreference("last-game", gameType);
     }
 
-    const gameNames = {
-      sequence: "Sequence Memory",
-      matching: "Card Matching",
-    };
-
     if (window.accessibilityManager) {
       window.accessibilityManager.announce(
-        `Switched to ${gameNames[gameType]} game`
+        `Switched to ${this.gameNames[gameType]} game`
       );
     }
 
@@ -341,6 +363,595 @@ class MemoryPalApp {
     });
   }
 
+  // Profiles
+  setupProfiles() {
+    const form = this.elements.newProfileForm;
+    const avatarSelect = this.elements.newProfileAvatar;
+
+    if (avatarSelect) {
+      avatarSelect.innerHTML = window.storageManager.avatars
+        .map((avatar) => `<option value="${avatar}">${avatar}</option>`)
+        .join("");
+    }
+
+    if (form) {
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.createProfile();
+      });
+    }
+
+    if (this.elements.profileList) {
+      this.elements.profileList.addEventListener("click", (e) => {
+        const button = e.target.closest("[data-action]");
+        if (!button) return;
+
+        const id = button.dataset.profileId;
+        if (button.dataset.action === "switch") {
+          this.switchProfile(id);
+        } else if (button.dataset.action === "export") {
+          this.exportProfile(id);
+        } else if (button.dataset.action === "delete") {
+          this.deleteProfile(id);
+        }
+      });
+    }
+
+    this.renderProfiles();
+  }
+
+  renderProfiles() {
+    const storage = window.storageManager;
+    const active = storage.getActiveProfile();
+
+    if (this.elements.profileAvatar) {
+      this.elements.profileAvatar.textContent = active.avatar;
+    }
+    if (this.elements.profileName) {
+      this.elements.profileName.textContent = active.name;
+    }
+
+    const list = this.elements.profileList;
+    if (!list) return;
+
+    list.innerHTML = "";
+    storage.getProfiles().forEach((profile) => {
+      const isActive = profile.id === active.id;
+      const item = document.createElement("li");
+      item.className = `profile-item${isActive ? " active" : ""}`;
+
+      const switchBtn = document.createElement("button");
+      switchBtn.type = "button";
+      switchBtn.className = "profile-switch";
+      switchBtn.dataset.action = "switch";
+      switchBtn.dataset.profileId = profile.id;
+      switchBtn.setAttribute("aria-pressed", String(isActive));
+      switchBtn.textContent = `${profile.avatar} ${profile.name}${
+        isActive ? " (current)" : ""
+      }`;
+
+      const exportBtn = document.createElement("button");
+      exportBtn.type = "button";
+      exportBtn.className = "control-btn profile-action";
+      exportBtn.dataset.action = "export";
+      exportBtn.dataset.profileId = profile.id;
+      exportBtn.setAttribute("aria-label", `Export ${profile.name}'s data`);
+      exportBtn.innerHTML = '<span aria-hidden="true">💾</span>';
+
+      const deleteBtn = document.createElement("button");
+      deleteBtn.type = "button";
+      deleteBtn.className = "control-btn profile-action";
+      deleteBtn.dataset.action = "delete";
+      deleteBtn.dataset.profileId = profile.id;
+      deleteBtn.disabled = isActive;
+      deleteBtn.setAttribute("aria-label", `Delete ${profile.name}`);
+      deleteBtn.innerHTML = '<span aria-hidden="true">🗑️</span>';
+
+      item.append(switchBtn, exportBtn, deleteBtn);
+      list.appendChild(item);
+    });
+  }
+
+  setProfileStatus(message, type = "info") {
+    const status = this.elements.profileStatus;
+    if (status) {
+      status.textContent = message;
+      status.className = `profile-status ${type}`;
+    }
+  }
+
+  createProfile() {
+    const nameInput = this.elements.newProfileName;
+
+    try {
+      const profile = window.storageManager.createProfile(
+        nameInput.value,
+        this.elements.newProfileAvatar?.value
+      );
+      nameInput.value = "";
+      this.renderProfiles();
+      this.setProfileStatus(
+        `Added ${profile.name}. Choose the profile to switch to it.`,
+        "success"
+      );
+    } catch (error) {
+      this.setProfileStatus(error.message, "error");
+      nameInput.focus();
+    }
+  }
+
+  async switchProfile(id) {
+    const storage = window.storageManager;
+    if (id === storage.getActiveProfile().id) return;
+
+    try {
+      const profile = await storage.switchProfile(id);
+      this.setProfileStatus(`Switching to ${profile.name}…`);
+      window.location.reload();
+    } catch (error) {
+      this.setProfileStatus(error.message, "error");
+    }
+  }
+
+  async exportProfile(id) {
+    const profile = window.storageManager.getProfile(id);
+    if (!profile) return;
+
+    const passphrase = await this.askPassphrase(
+      `Protect ${profile.name}'s file with a passphrase, or leave it empty to save it unprotected.`,
+      { confirm: true, action: "Export" }
+    );
+    if (passphrase === null) return;
+    this.closeModal();
+
+    try {
+      const json = await window.storageManager.exportProfile(
+        id,
+        passphrase || null
+      );
+      const baseName =
+        profile.name
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "-")
+          .replace(/^-|-$/g, "") || "profile";
+      const date = new Date().toISOString().slice(0, 10);
+
+      const blob = new Blob([json], { type: "application/json" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `memorypal-${baseName}-${date}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      this.setProfileStatus(
+        passphrase
+          ? `Exported ${profile.name}'s data, protected with a passphrase.`
+          : `Exported ${profile.name}'s data.`,
+        "success"
+      );
+    } catch (error) {
+      this.setProfileStatus(error.message, "error");
+    }
+  }
+
+  async deleteProfile(id) {
+    const profile = window.storageManager.getProfile(id);
+    if (!profile) return;
+
+    if (
+      !confirm(
+        `Delete the profile "${profile.name}" with all of its progress? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await window.storageManager.deleteProfile(id);
+      this.renderProfiles();
+      this.setProfileStatus(`Deleted ${profile.name}.`);
+    } catch (error) {
+      this.setProfileStatus(error.message, "error");
+    }
+  }
+
+  // Passphrases
+  // Resolves to the passphrase, or null when the dialog is cancelled. With
+  // `confirm` the passphrase is typed twice and may be left empty.
+  askPassphrase(message, { confirm = false, action = "Unlock" } = {}) {
+    if (this.passphraseRequest) {
+      this.passphraseRequest(null);
+      this.passphraseRequest = null;
+    }
+
+    return new Promise((resolve) => {
+      this.showModal(
+        "Passphrase",
+        `
+            <form class="passphrase-form" id="passphrase-form" novalidate>
+                <p id="passphrase-message"></p>
+                <div class="form-group">
+                    <label for="passphrase-input">Passphrase:</label>
+                    <input type="password" id="passphrase-input" autocomplete="${
+                      confirm ? "new-password" : "current-password"
+                    }">
+                </div>
+                ${
+                  confirm
+                    ? `<div class="form-group">
+                    <label for="passphrase-confirm">Repeat passphrase:</label>
+                    <input type="password" id="passphrase-confirm" autocomplete="new-password">
+                </div>`
+                    : ""
+                }
+                <p class="passphrase-error" id="passphrase-error" role="alert"></p>
+                <div class="form-actions">
+                    <button type="submit" class="close-modal-btn">${action}</button>
+                    <button type="button" class="control-btn" onclick="memoryPalApp.closeModal()">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        `
+      );
+      this.passphraseRequest = resolve;
+
+      const input = document.getElementById("passphrase-input");
+      const repeat = document.getElementById("passphrase-confirm");
+      const error = document.getElementById("passphrase-error");
+      document.getElementById("passphrase-message").textContent = message;
+
+      document
+        .getElementById("passphrase-form")
+        .addEventListener("submit", (e) => {
+          e.preventDefault();
+          const problem = this.checkPassphrase(
+            input.value,
+            repeat ? repeat.value : null
+          );
+          if (problem) {
+            error.textContent = problem;
+            input.focus();
+            return;
+          }
+
+          this.passphraseRequest = null;
+          resolve(input.value);
+        });
+      input.focus();
+    });
+  }
+
+  // New passphrases are typed twice and may be left empty
+  checkPassphrase(value, repeated) {
+    if (repeated === null) {
+      return value ? null : "Enter the passphrase.";
+    }
+    if (!value && !repeated) {
+      return null;
+    }
+
+    const { minLength } = window.storageManager.cipher;
+    if (value.length < minLength) {
+      return `Use a passphrase of at least ${minLength} characters.`;
+    }
+    if (value !== repeated) {
+      return "The two passphrases don't match.";
+    }
+    return null;
+  }
+
+  // Importing progress
+  setupDataImport() {
+    window.storageManager.requestPassphrase = (message) =>
+      this.askPassphrase(message);
+
+    const input = this.elements.importFile;
+    const dropZone = this.elements.importDropZone;
+
+    if (input) {
+      input.addEventListener("change", (e) => {
+        this.readImportFile(e.target.files[0]);
+        e.target.value = "";
+      });
+    }
+
+    if (dropZone) {
+      dropZone.addEventListener("dragover", (e) => {
+        e.preventDefault();
+        dropZone.classList.add("drag-over");
+      });
+      dropZone.addEventListener("dragleave", () => {
+        dropZone.classList.remove("drag-over");
+      });
+      dropZone.addEventListener("drop", (e) => {
+        e.preventDefault();
+        dropZone.classList.remove("drag-over");
+        this.readImportFile(e.dataTransfer.files[0]);
+      });
+    }
+  }
+
+  setImportStatus(message, type = "info") {
+    const status = this.elements.importStatus;
+    if (status) {
+      status.textContent = message;
+      status.className = `profile-status ${type}`;
+    }
+  }
+
+  readImportFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => this.showImportPreview(reader.result);
+    reader.onerror = () => {
+      this.setImportStatus("The file could not be read.", "error");
+    };
+    reader.readAsText(file);
+  }
+
+  // Nothing is changed until the preview is confirmed
+  async showImportPreview(text) {
+    const storage = window.storageManager;
+    const isProtected = storage.cipher.isEncrypted(text);
+
+    let json;
+    let previews;
+    try {
+      json = await storage.unlockImport(text);
+      previews = {
+        merge: storage.previewImport(json, "merge"),
+        replace: storage.previewImport(json, "replace"),
+      };
+    } catch (error) {
+      if (isProtected) {
+        this.closeModal();
+      }
+      this.setImportStatus(`Could not import: ${error.message}`, "error");
+      return;
+    }
+
+    this.pendingImport = { text: json, previews };
+    this.setImportStatus("");
+
+    this.showModal(
+      "Import Progress",
+      `
+            <p class="import-source" id="import-source"></p>
+            <fieldset class="import-mode">
+                <legend>How should the file be used?</legend>
+                <label>
+                    <input type="radio" name="import-mode" value="merge" checked>
+                    Merge: add the file's games and achievements to this profile and keep the higher high scores
+                </label>
+                <label>
+                    <input type="radio" name="import-mode" value="replace">
+                    Replace: use the file instead of this profile's current progress
+                </label>
+            </fieldset>
+            <h3>What will change</h3>
+            <ul class="import-preview" id="import-preview"></ul>
+            <div class="form-actions">
+                <button type="button" class="close-modal-btn" onclick="memoryPalApp.confirmImport()">
+                    Import
+                </button>
+                <button type="button" class="control-btn" onclick="memoryPalApp.closeModal()">
+                    Cancel
+                </button>
+            </div>
+        `
+    );
+
+    const { profile, exportDate } = previews.merge;
+    const source = document.getElementById("import-source");
+    if (source) {
+      const from = profile
+        ? ` from ${profile.avatar || ""} ${profile.name}`
+        : "";
+      const date = exportDate
+        ? `, exported ${new Date(exportDate).toLocaleDateString()}`
+        : "";
+      source.textContent = `Progress${from}${date}.`;
+    }
+
+    document.querySelectorAll('input[name="import-mode"]').forEach((radio) => {
+      radio.addEventListener("change", () =>
+        this.renderImportPreview(radio.value)
+      );
+    });
+    this.renderImportPreview("merge");
+  }
+
+  renderImportPreview(mode) {
+    const list = document.getElementById("import-preview");
+    if (!list || !this.pendingImport) return;
+
+    const preview = this.pendingImport.previews[mode];
+    const { sessions, achievements, highScores } = preview;
+    const lines = [
+      `Game history: ${sessions.before} → ${sessions.after} games (${sessions.added} added, ${sessions.removed} removed)`,
+    ];
+
+    if (achievements.added.length > 0) {
+      lines.push(`New achievements: ${achievements.added.join(", ")}`);
+    }
+    if (achievements.removed.length > 0) {
+      lines.push(`Achievements removed: ${achievements.removed.join(", ")}`);
+    }
+    if (achievements.added.length + achievements.removed.length === 0) {
+      lines.push("Achievements: no change");
+    }
+
+    highScores.forEach(({ gameType, before, after }) => {
+      lines.push(
+        `${
+          this.gameNames[gameType] || gameType
+        } high score: ${before} → ${after}`
+      );
+    });
+    if (highScores.length === 0) {
+      lines.push("High scores: no change");
+    }
+
+    lines.push(
+      mode === "replace"
+        ? "Preferences and accessibility settings: taken from the file"
+        : "Preferences and accessibility settings: kept"
+    );
+
+    list.innerHTML = "";
+    lines.forEach((line) => {
+      const item = document.createElement("li");
+      item.textContent = line;
+      list.appendChild(item);
+    });
+  }
+
+  async confirmImport() {
+    if (!this.pendingImport) return;
+
+    const mode =
+      document.querySelector('input[name="import-mode"]:checked')?.value ||
+      "merge";
+    const storage = window.storageManager;
+    const imported = await storage.importData(this.pendingImport.text, mode);
+    this.pendingImport = null;
+    this.closeModal();
+
+    if (!imported) {
+      this.setImportStatus(
+        `Could not import: ${storage.lastImportError}`,
+        "error"
+      );
+      return;
+    }
+
+    // Games read their settings when they start, so the page reloads
+    // with the imported progress
+    this.setImportStatus("Progress imported. Reloading…", "success");
+    await storage.flush();
+    window.location.reload();
+  }
+
+  // Backups
+  setupBackups() {
+    this.elements.createBackupBtn?.addEventListener("click", () =>
+      this.createBackup()
+    );
+
+    if (this.elements.backupList) {
+      this.elements.backupList.addEventListener("click", (e) => {
+        const button = e.target.closest("[data-backup]");
+        if (button) {
+          this.restoreBackup(Number(button.dataset.backup));
+        }
+      });
+    }
+
+    this.renderBackups();
+  }
+
+  renderBackups() {
+    const list = this.elements.backupList;
+    if (!list) return;
+
+    list.innerHTML = "";
+    const backups = window.storageManager.getBackups().slice().reverse();
+    if (backups.length === 0) {
+      const item = document.createElement("li");
+      item.textContent = "No backups yet.";
+      list.appendChild(item);
+      return;
+    }
+
+    backups.forEach((backup) => {
+      const date = new Date(backup.timestamp).toLocaleString();
+      const item = document.createElement("li");
+      item.className = "backup-item";
+
+      const label = document.createElement("span");
+      label.textContent = `${date}${backup.encrypted ? " 🔒" : ""}${
+        backup.reason ? " (kept after a failed update)" : ""
+      }`;
+
+      const restoreBtn = document.createElement("button");
+      restoreBtn.type = "button";
+      restoreBtn.className = "control-btn";
+      restoreBtn.dataset.backup = backup.timestamp;
+      restoreBtn.setAttribute("aria-label", `Restore the backup from ${date}`);
+      restoreBtn.textContent = "Restore";
+
+      item.append(label, restoreBtn);
+      list.appendChild(item);
+    });
+  }
+
+  async createBackup() {
+    const passphrase = await this.askPassphrase(
+      "Protect the backup with a passphrase, or leave it empty to keep it unprotected.",
+      { confirm: true, action: "Back up" }
+    );
+    if (passphrase === null) return;
+    this.closeModal();
+
+    try {
+      const saved = await window.storageManager.createBackup(
+        passphrase || null
+      );
+      if (!saved) {
+        throw new Error("The backup could not be stored. Storage may be full.");
+      }
+      this.renderBackups();
+      this.setImportStatus(
+        passphrase
+          ? "Backup made, protected with a passphrase."
+          : "Backup made.",
+        "success"
+      );
+    } catch (error) {
+      this.setImportStatus(error.message, "error");
+    }
+  }
+
+  async restoreBackup(timestamp) {
+    const backup = window.storageManager
+      .getBackups()
+      .find((b) => b.timestamp === timestamp);
+    if (!backup) return;
+
+    const date = new Date(timestamp).toLocaleString();
+    const kept = backup.withoutSessions ? " Your game history is kept." : "";
+    if (
+      !confirm(
+        `Restore the backup from ${date}? Your current progress will be replaced.${kept}`
+      )
+    ) {
+      return;
+    }
+
+    const storage = window.storageManager;
+    const restored = await storage.restoreBackup(timestamp);
+    if (backup.encrypted) {
+      this.closeModal();
+    }
+
+    if (!restored) {
+      this.setImportStatus(
+        `Could not restore: ${storage.lastImportError}`,
+        "error"
+      );
+      return;
+    }
+
+    this.setImportStatus("Backup restored. Reloading…", "success");
+    await storage.flush();
+    window.location.reload();
+  }
+
   updateProfileStats() {
     if (!window.storageManager) return;
 
@@ -372,6 +983,12 @@ class MemoryPalApp {
                 
                 <h4>🃏 Card Matching</h4>
                 <p>Click cards to flip them over and find matching pairs. Try to complete the game in as few moves as possible!</p>
+                
+                <h4>🔲 Pattern Memory</h4>
+                <p>A group of tiles lights up on the grid. When they go dark, select the same tiles in any order. Patterns and grids grow as you level up!</p>
+                
+                <h4>🔗 Word Chain</h4>
+                <p>Watch and listen to a chain of words, then recall them in the same order by typing them or choosing from a list. Each level adds one more word!</p>
             </div>
             
             <div class="help-section">
@@ -559,6 +1176,11 @@ class MemoryPalApp {
   closeModal() {
     if (!this.elements.infoModal) return;
 
+    if (this.passphraseRequest) {
+      this.passphraseRequest(null);
+      this.passphraseRequest = null;
+    }
+
     this.elements.infoModal.setAttribute("aria-hidden", "true");
 
     const mainContent = document.getElementById("main-content");
@@ -647,7 +1269,9 @@ class MemoryPalApp {
   }
 }
 
-document.addEventListener("DOMContentLoaded", () => {
+// Stored data loads asynchronously, so everything that reads it waits
+document.addEventListener("DOMContentLoaded", async () => {
+  await window.storageManager.ready;
   window.memoryPalApp = new MemoryPalApp();
 });
 
@@ -11,6 +11,8 @@ class AudioManager {
       G4: 392.0,
       A4: 440.0,
       B4: 493.88,
+      C5: 523.25,
+      D5: 587.33,
     };
 
     this.settings = {
@@ -202,6 +204,11 @@ class AudioManager {
       blue: "D4",
       green: "E4",
       yellow: "F4",
+      purple: "G4",
+      orange: "A4",
+      pink: "B4",
+      teal: "C5",
+      gray: "D5",
     };
 
     const note = soundMap[color];
@@ -210,6 +217,38 @@ class AudioManager {
     }
   }
 
+  playPatternSound(step) {
+    // Walk up the scale so each selected tile sounds a little higher
+    const notes = Object.keys(this.musicNotes);
+    const note = notes[(Math.max(step, 1) - 1) % notes.length];
+    this.playTone(this.musicNotes[note], 0.2);
+  }
+
+  // Plays the face of a sound-matching card
+  playCardSound(sound) {
+    if (!sound) return Promise.resolve();
+
+    if (sound.type === "speech") {
+      return this.speak(sound.text, { rate: 0.9 });
+    }
+    if (sound.frequencies.length > 1) {
+      return this.playChord(sound.frequencies, 0.8);
+    }
+    return this.playTone(sound.frequencies[0], 0.6, sound.wave || "sine");
+  }
+
+  canPlayTones() {
+    return this.settings.enabled && this.settings.musicEnabled;
+  }
+
+  // Spoken cards need speech; tones and chords need music
+  canPlayCardSounds(soundType) {
+    if (!this.settings.enabled) return false;
+    if (soundType === "speech") return this.settings.speechEnabled;
+    if (soundType) return this.settings.musicEnabled;
+    return this.settings.musicEnabled || this.settings.speechEnabled;
+  }
+
   playSequence(colors, interval = 600) {
     if (!this.settings.enabled || !this.settings.musicEnabled) {
       return Promise.resolve();
@@ -264,20 +303,40 @@ class AudioManager {
 
   announceGameEvent(event, data = {}) {
     const announcements = {
-      gameStart: "Game starting. Get ready!",
+      gameStart: data.player
+        ? `Game starting. ${data.player} goes first.`
+        : "Game starting. Get ready!",
       sequenceShow: `Watch and listen to the sequence of ${data.length} colors.`,
+      sequenceShowAudio: `Listen to the sequence of ${data.length} tones.`,
       sequenceInput: "Now repeat the sequence by clicking the colors.",
+      sequenceInputBackward:
+        "Now repeat the sequence backward, starting with the last color.",
+      sequenceInputEveryOther:
+        "Now click every other color, starting with the first.",
+      sequenceInputLastN: `Now repeat only the last ${data.count} colors.`,
       correctColor: `Correct! ${data.color} was right.`,
       incorrectColor: `Wrong color. The correct color was ${data.expected}.`,
+      lifeLost: `Not quite. The correct color was ${data.expected}. ${data.lives}. Watch again.`,
       levelComplete: `Excellent! Level ${data.level} completed. Score: ${data.score}`,
       gameOver: `Game over. Your final score was ${data.score}. Well played!`,
       newHighScore: `Congratulations! New high score: ${data.score}!`,
       pause: "Game paused.",
       resume: "Game resumed.",
       cardFlip: `Card flipped. ${data.content}`,
-      cardMatch: `Match found! ${data.content}`,
-      cardMismatch: "Not a match. Cards will flip back.",
+      cardMatch: data.player
+        ? `Match found! ${data.content}. ${data.player} goes again.`
+        : `Match found! ${data.content}`,
+      cardMismatch: data.player
+        ? `Not a match. ${data.player}'s turn.`
+        : "Not a match. Cards will flip back.",
       allMatched: `Congratulations! All pairs matched in ${data.moves} moves.`,
+      patternShow: `Watch the ${data.count} highlighted tiles.`,
+      patternInput: "Now select the tiles that lit up, in any order.",
+      patternMiss: "That tile was not part of the pattern.",
+      wordShow: `Listen to the chain of ${data.count} words.`,
+      wordInput: "Now recall the words in the same order.",
+      wordCorrect: `Correct! ${data.word}.`,
+      wordIncorrect: `Not quite. The next word was ${data.expected}.`,
     };
 
     const text = announcements[event] || event;
@@ -296,12 +355,16 @@ class AudioManager {
       gameStart: "click",
       correctColor: "success",
       incorrectColor: "error",
+      lifeLost: "error",
       levelComplete: "levelUp",
       gameOver: "gameOver",
       newHighScore: "complete",
       cardMatch: "success",
       cardMismatch: "error",
       allMatched: "complete",
+      patternMiss: "error",
+      wordCorrect: "success",
+      wordIncorrect: "error",
     };
 
     const soundName = soundMap[event];
@@ -463,7 +526,7 @@ class AudioManager {
     const instructions = {
       sequence: "Watch the colors light up, then click them in the same order.",
       matching: "Click cards to flip them over and find matching pairs.",
-      patterns: "Study the pattern and complete the missing parts.",
+      patterns: "Watch the tiles light up, then select the same tiles.",
       wordchain: "Remember the sequence of words in the correct order.",
     };
 
@@ -0,0 +1,648 @@
+// MemoryPal - Deck Editor
+// Lets caregivers build matching decks from their own words and photos.
+// Decks are kept by StorageManager and can be shared as JSON or CSV files.
+class DeckEditor {
+  constructor() {
+    this.deck = null;
+    this.pendingImage = null;
+    this.maxImageSize = 256; // px, photos are scaled down to fit storage
+
+    this.elements = {
+      gameArea: document.getElementById("matching-game"),
+      panel: document.getElementById("deck-editor"),
+      openBtn: document.getElementById("open-deck-editor"),
+      closeBtn: document.getElementById("close-deck-editor"),
+      deckSelect: document.getElementById("deck-editor-deck"),
+      nameInput: document.getElementById("deck-name"),
+      cardList: document.getElementById("deck-card-list"),
+      cardCount: document.getElementById("deck-card-count"),
+      cardForm: document.getElementById("deck-card-form"),
+      faceInput: document.getElementById("deck-card-face"),
+      imageInput: document.getElementById("deck-card-image"),
+      labelInput: document.getElementById("deck-card-label"),
+      altInput: document.getElementById("deck-card-alt"),
+      saveBtn: document.getElementById("save-deck"),
+      deleteBtn: document.getElementById("delete-deck"),
+      exportJsonBtn: document.getElementById("export-deck-json"),
+      exportCsvBtn: document.getElementById("export-deck-csv"),
+      importInput: document.getElementById("import-deck"),
+      status: document.getElementById("deck-editor-status"),
+    };
+
+    this.init();
+  }
+
+  init() {
+    if (!this.elements.panel) return;
+
+    this.setupEventListeners();
+    this.loadDecks();
+    this.selectDeck("new");
+  }
+
+  setupEventListeners() {
+    this.elements.openBtn?.addEventListener("click", () => this.open());
+    this.elements.closeBtn?.addEventListener("click", () => this.close());
+
+    this.elements.deckSelect?.addEventListener("change", (e) => {
+      this.selectDeck(e.target.value);
+    });
+
+    this.elements.nameInput?.addEventListener("input", (e) => {
+      this.deck.name = e.target.value;
+    });
+
+    this.elements.cardForm?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.addCard();
+    });
+
+    this.elements.imageInput?.addEventListener("change", (e) => {
+      this.readImage(e.target.files[0]);
+    });
+
+    this.elements.saveBtn?.addEventListener("click", () => this.saveDeck());
+    this.elements.deleteBtn?.addEventListener("click", () => this.deleteDeck());
+    this.elements.exportJsonBtn?.addEventListener("click", () =>
+      this.exportDeck("json")
+    );
+    this.elements.exportCsvBtn?.addEventListener("click", () =>
+      this.exportDeck("csv")
+    );
+
+    this.elements.importInput?.addEventListener("change", (e) => {
+      this.importFile(e.target.files[0]);
+      e.target.value = "";
+    });
+
+    this.elements.panel.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this.close();
+      }
+    });
+  }
+
+  open() {
+    const instructions =
+      this.elements.gameArea?.querySelector(".game-instructions");
+    if (instructions) {
+      instructions.style.display = "none";
+    }
+
+    this.elements.panel.hidden = false;
+    this.elements.openBtn?.setAttribute("aria-expanded", "true");
+    this.elements.nameInput?.focus();
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce("Deck editor opened");
+    }
+  }
+
+  close() {
+    const instructions =
+      this.elements.gameArea?.querySelector(".game-instructions");
+    if (instructions) {
+      instructions.style.display = "block";
+    }
+
+    this.elements.panel.hidden = true;
+    this.elements.openBtn?.setAttribute("aria-expanded", "false");
+    this.elements.openBtn?.focus();
+  }
+
+  createDeck() {
+    return { id: `custom-${Date.now()}`, name: "", cards: [] };
+  }
+
+  loadDecks() {
+    const select = this.elements.deckSelect;
+    if (!select) return;
+
+    select.innerHTML = "";
+
+    const newOption = document.createElement("option");
+    newOption.value = "new";
+    newOption.textContent = "New deck";
+    select.appendChild(newOption);
+
+    this.getDecks().forEach((deck) => {
+      const option = document.createElement("option");
+      option.value = deck.id;
+      option.textContent = `${deck.name} (${deck.cards.length} cards)`;
+      select.appendChild(option);
+    });
+
+    select.value =
+      this.deck?.id && this.getDeck(this.deck.id) ? this.deck.id : "new";
+  }
+
+  getDecks() {
+    return window.storageManager?.getCustomDecks() || [];
+  }
+
+  getDeck(id) {
+    return window.storageManager?.getCustomDeck(id) || null;
+  }
+
+  selectDeck(id) {
+    const stored = id === "new" ? null : this.getDeck(id);
+    this.deck = stored ? JSON.parse(JSON.stringify(stored)) : this.createDeck();
+
+    if (this.elements.deleteBtn) {
+      this.elements.deleteBtn.disabled = !stored;
+    }
+
+    this.renderDeck();
+    this.clearCardForm();
+    this.setStatus("");
+  }
+
+  renderDeck() {
+    if (this.elements.nameInput) {
+      this.elements.nameInput.value = this.deck.name;
+    }
+
+    const list = this.elements.cardList;
+    if (!list) return;
+
+    list.innerHTML = "";
+
+    this.deck.cards.forEach((card, index) => {
+      const item = document.createElement("li");
+      item.className = "deck-card-item";
+
+      const preview = document.createElement("span");
+      preview.className = "deck-card-preview";
+      preview.setAttribute("aria-hidden", "true");
+      if (card.image) {
+        const img = document.createElement("img");
+        img.src = card.image;
+        img.alt = "";
+        preview.appendChild(img);
+      }
+      if (card.face) {
+        preview.appendChild(document.createTextNode(card.face));
+      }
+
+      const label = document.createElement("span");
+      label.className = "deck-card-label";
+      label.textContent = card.alt ? `${card.label} – ${card.alt}` : card.label;
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "control-btn";
+      removeBtn.textContent = "Remove";
+      removeBtn.setAttribute("aria-label", `Remove ${card.label}`);
+      removeBtn.addEventListener("click", () => this.removeCard(index));
+
+      item.append(preview, label, removeBtn);
+      list.appendChild(item);
+    });
+
+    if (this.elements.cardCount) {
+      const count = this.deck.cards.length;
+      this.elements.cardCount.textContent = `${count} ${
+        count === 1 ? "card" : "cards"
+      }`;
+    }
+  }
+
+  clearCardForm() {
+    this.elements.cardForm?.reset();
+    this.pendingImage = null;
+  }
+
+  setStatus(message, type = "info") {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+      this.elements.status.dataset.type = type;
+    }
+  }
+
+  readImage(file) {
+    if (!file) return;
+
+    if (!file.type.startsWith("image/")) {
+      this.setStatus("That file is not a picture.", "error");
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      this.resizeImage(reader.result).then((dataUrl) => {
+        this.pendingImage = dataUrl;
+        this.setStatus("Picture ready. Add a spoken label and alt text.");
+      });
+    };
+    reader.onerror = () => {
+      this.setStatus("The picture could not be read.", "error");
+    };
+    reader.readAsDataURL(file);
+  }
+
+  resizeImage(dataUrl) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        const scale = Math.min(
+          1,
+          this.maxImageSize / Math.max(img.width, img.height)
+        );
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(img.width * scale);
+        canvas.height = Math.round(img.height * scale);
+
+        const context = canvas.getContext && canvas.getContext("2d");
+        if (!context) {
+          resolve(dataUrl);
+          return;
+        }
+
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL("image/jpeg", 0.85));
+      };
+      img.onerror = () => resolve(dataUrl);
+      img.src = dataUrl;
+    });
+  }
+
+  // Cleans up a card from the form or an imported file; throws with a
+  // message the player can act on
+  normalizeCard(raw, position) {
+    const face = String(raw.face || "").trim();
+    const alt = String(raw.alt || "").trim();
+    const label = String(raw.label || "").trim() || face;
+    const image = String(raw.image || "").trim();
+
+    if (image && !image.startsWith("data:image/")) {
+      throw new Error(
+        `Card ${position}: pictures must be included in the file, not linked.`
+      );
+    }
+    if (!face && !image) {
+      throw new Error(`Card ${position} needs face text or a picture.`);
+    }
+    if (!label) {
+      throw new Error(`Card ${position} needs a spoken label.`);
+    }
+
+    return { face, label, alt, image: image || null };
+  }
+
+  validateDeck(deck) {
+    const errors = [];
+    const labels = new Set();
+
+    if (!deck.name || !deck.name.trim()) {
+      errors.push("Give the deck a name.");
+    }
+    if (deck.cards.length < 2) {
+      errors.push("A deck needs at least 2 cards.");
+    }
+
+    deck.cards.forEach((card) => {
+      const key = card.label.toLowerCase();
+      if (labels.has(key)) {
+        errors.push(`Two cards are labelled "${card.label}".`);
+      }
+      labels.add(key);
+    });
+
+    return errors;
+  }
+
+  addCard() {
+    let card;
+    try {
+      card = this.normalizeCard(
+        {
+          face: this.elements.faceInput?.value,
+          label: this.elements.labelInput?.value,
+          alt: this.elements.altInput?.value,
+          image: this.pendingImage,
+        },
+        this.deck.cards.length + 1
+      );
+    } catch (error) {
+      this.setStatus(error.message, "error");
+      return;
+    }
+
+    if (card.image && !card.alt) {
+      this.setStatus("Describe the picture in the alt text field.", "error");
+      this.elements.altInput?.focus();
+      return;
+    }
+
+    const duplicate = this.deck.cards.some(
+      (c) => c.label.toLowerCase() === card.label.toLowerCase()
+    );
+    if (duplicate) {
+      this.setStatus(
+        `There is already a card labelled "${card.label}".`,
+        "error"
+      );
+      return;
+    }
+
+    this.deck.cards.push(card);
+    this.renderDeck();
+    this.clearCardForm();
+    this.setStatus(`Added ${card.label}. Remember to save the deck.`);
+    this.elements.faceInput?.focus();
+  }
+
+  removeCard(index) {
+    const [removed] = this.deck.cards.splice(index, 1);
+    this.renderDeck();
+
+    if (removed) {
+      this.setStatus(`Removed ${removed.label}.`);
+    }
+    this.elements.faceInput?.focus();
+  }
+
+  // Resolves once the deck is written, so a full storage is reported here
+  async storeDeck(deck) {
+    const saved = await window.storageManager?.saveCustomDeck(deck);
+    if (!saved) {
+      throw new Error(
+        "The deck could not be saved. Storage may be full; try fewer or smaller pictures."
+      );
+    }
+
+    this.loadDecks();
+    if (window.matchingGame) {
+      window.matchingGame.refreshThemeOptions();
+    }
+    return saved;
+  }
+
+  async saveDeck() {
+    const errors = this.validateDeck(this.deck);
+    if (errors.length > 0) {
+      this.setStatus(errors.join(" "), "error");
+      return;
+    }
+
+    try {
+      this.deck = JSON.parse(JSON.stringify(await this.storeDeck(this.deck)));
+    } catch (error) {
+      this.setStatus(error.message, "error");
+      return;
+    }
+
+    this.elements.deckSelect.value = this.deck.id;
+    this.elements.deleteBtn.disabled = false;
+    this.setStatus(
+      `Saved "${this.deck.name}". Choose it under Card theme to play.`,
+      "success"
+    );
+
+    if (window.audioManager) {
+      window.audioManager.playSuccessSound();
+    }
+  }
+
+  deleteDeck() {
+    if (!this.getDeck(this.deck.id)) return;
+
+    if (!confirm(`Delete the deck "${this.deck.name}"?`)) return;
+
+    const name = this.deck.name;
+    window.storageManager.deleteCustomDeck(this.deck.id);
+    if (window.matchingGame) {
+      window.matchingGame.refreshThemeOptions();
+    }
+
+    this.loadDecks();
+    this.selectDeck("new");
+    this.setStatus(`Deleted "${name}".`);
+  }
+
+  // Export and import
+  toJson(deck) {
+    return JSON.stringify(
+      {
+        type: "memorypal-deck",
+        version: 1,
+        deck: { name: deck.name, cards: deck.cards },
+      },
+      null,
+      2
+    );
+  }
+
+  toCsv(deck) {
+    const field = (value) => `"${String(value || "").replace(/"/g, '""')}"`;
+    const rows = [["face", "label", "alt", "image"].join(",")];
+
+    deck.cards.forEach((card) => {
+      rows.push(
+        [card.face, card.label, card.alt, card.image].map(field).join(",")
+      );
+    });
+
+    return rows.join("\r\n");
+  }
+
+  exportDeck(format) {
+    if (this.deck.cards.length === 0) {
+      this.setStatus("Add some cards before exporting.", "error");
+      return;
+    }
+
+    const baseName =
+      (this.deck.name || "deck")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "deck";
+
+    if (format === "csv") {
+      this.download(`${baseName}.csv`, this.toCsv(this.deck), "text/csv");
+    } else {
+      this.download(
+        `${baseName}.json`,
+        this.toJson(this.deck),
+        "application/json"
+      );
+    }
+
+    this.setStatus(`Exported "${this.deck.name || "deck"}".`);
+  }
+
+  download(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  importFile(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => this.importText(reader.result, file.name);
+    reader.onerror = () => {
+      this.setStatus("The file could not be read.", "error");
+    };
+    reader.readAsText(file);
+  }
+
+  async importText(text, filename = "deck") {
+    let imported;
+    const stored = [];
+
+    try {
+      const isCsv = /\.csv$/i.test(filename) || !/^\s*[{[]/.test(text || "");
+      const decks = isCsv
+        ? [this.parseCsvDeck(text, filename)]
+        : this.parseJsonDecks(text);
+
+      imported = decks.map((raw, deckIndex) => {
+        const deck = {
+          id: `custom-${Date.now()}-${deckIndex}`,
+          name: String(raw.name || "").trim(),
+          cards: (raw.cards || []).map((card, index) =>
+            this.normalizeCard(card, index + 1)
+          ),
+        };
+
+        const errors = this.validateDeck(deck);
+        if (errors.length > 0) {
+          throw new Error(`${deck.name || "Deck"}: ${errors.join(" ")}`);
+        }
+        return deck;
+      });
+
+      for (const deck of imported) {
+        stored.push(await this.storeDeck(deck));
+      }
+    } catch (error) {
+      if (stored.length === 0) {
+        this.setStatus(`Could not import: ${error.message}`, "error");
+        return [];
+      }
+
+      this.showImported(stored);
+      this.setStatus(
+        `Imported ${this.describeDecks(
+          stored
+        )}, but the rest could not be imported: ${error.message}`,
+        "error"
+      );
+      return stored;
+    }
+
+    this.showImported(stored);
+    this.setStatus(`Imported ${this.describeDecks(stored)}.`, "success");
+    return stored;
+  }
+
+  showImported(decks) {
+    this.selectDeck(decks[decks.length - 1].id);
+    this.loadDecks();
+  }
+
+  describeDecks(decks) {
+    return decks
+      .map((deck) => `"${deck.name}" (${deck.cards.length} cards)`)
+      .join(", ");
+  }
+
+  parseJsonDecks(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error("the file is not valid JSON.");
+    }
+
+    if (Array.isArray(parsed?.decks)) return parsed.decks;
+    if (parsed?.deck) return [parsed.deck];
+    if (Array.isArray(parsed?.cards)) return [parsed];
+
+    throw new Error("the file does not contain a deck.");
+  }
+
+  // CSV columns: face, label, alt, image. The header row is optional and
+  // the deck is named after the file.
+  parseCsvDeck(text, filename) {
+    const rows = this.parseCsv(text).filter((row) =>
+      row.some((cell) => cell.trim() !== "")
+    );
+    if (rows.length === 0) {
+      throw new Error("the file is empty.");
+    }
+
+    let columns = ["face", "label", "alt", "image"];
+    const header = rows[0].map((cell) => cell.trim().toLowerCase());
+    if (header.includes("face") || header.includes("label")) {
+      columns = header;
+      rows.shift();
+    }
+
+    return {
+      name: filename.replace(/\.[^.]+$/, "").replace(/[-_]+/g, " "),
+      cards: rows.map((row) => {
+        const card = {};
+        columns.forEach((column, index) => {
+          card[column] = row[index] || "";
+        });
+        return card;
+      }),
+    };
+  }
+
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== "" || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  await window.storageManager.ready;
+  window.deckEditor = new DeckEditor();
+});
@@ -0,0 +1,415 @@
+// MemoryPal - Deck Generator
+// Builds card faces for the matching game. Every face has a spoken name so
+// it can be told apart by screen reader users, and themes grow past their
+// base symbols with colored or numbered variants so any grid can be filled.
+class DeckGenerator {
+  constructor() {
+    this.variantColors = ["red", "blue", "green", "purple", "orange", "teal"];
+
+    this.themes = {
+      emojis: {
+        label: "animals",
+        variant: "numbered",
+        symbols: [
+          { symbol: "🐶", name: "dog" },
+          { symbol: "🐱", name: "cat" },
+          { symbol: "🐭", name: "mouse" },
+          { symbol: "🐹", name: "hamster" },
+          { symbol: "🐰", name: "rabbit" },
+          { symbol: "🦊", name: "fox" },
+          { symbol: "🐻", name: "bear" },
+          { symbol: "🐼", name: "panda" },
+          { symbol: "🐨", name: "koala" },
+          { symbol: "🐯", name: "tiger" },
+          { symbol: "🦁", name: "lion" },
+          { symbol: "🐸", name: "frog" },
+        ],
+      },
+      shapes: {
+        label: "shapes",
+        variant: "color",
+        symbols: [
+          { symbol: "●", name: "circle" },
+          { symbol: "■", name: "square" },
+          { symbol: "▲", name: "triangle" },
+          { symbol: "♦", name: "diamond" },
+          { symbol: "★", name: "star" },
+          { symbol: "♠", name: "spade" },
+          { symbol: "♥", name: "heart" },
+          { symbol: "♣", name: "club" },
+          { symbol: "◆", name: "large diamond" },
+          { symbol: "▼", name: "down arrow" },
+          { symbol: "◀", name: "left arrow" },
+          { symbol: "▶", name: "right arrow" },
+        ],
+      },
+      numbers: {
+        label: "numbers",
+        variant: "count",
+        symbols: [],
+      },
+      letters: {
+        label: "letters",
+        variant: "numbered",
+        symbols: "ABCDEFGHIJKLMNOPQRSTUVWXYZ"
+          .split("")
+          .map((letter) => ({ symbol: letter, name: letter })),
+      },
+    };
+
+    // Sound decks are matched by ear; the face text is only a fallback
+    // for players who choose to see it
+    this.soundThemes = {
+      tones: {
+        label: "tones",
+        generate: (count) =>
+          Array.from({ length: count }, (_, i) => {
+            // Whole-tone steps from C3 keep neighbouring pitches apart;
+            // past three octaves the same pitches return with a new timbre
+            const pitch = i % 18;
+            const timbre = Math.floor(i / 18) % 3;
+            const letter = ["C", "D", "E", "F♯", "G♯", "A♯"][pitch % 6];
+            const octave = 3 + Math.floor(pitch / 6);
+            const timbreName = ["", "soft ", "buzzy "][timbre];
+            return {
+              id: `tone-${i}`,
+              symbol: `♪ ${letter}${octave}`,
+              name: `${timbreName}${letter}${octave} tone`,
+              sound: {
+                type: "tone",
+                frequencies: [130.81 * Math.pow(2, (pitch * 2) / 12)],
+                wave: ["sine", "triangle", "square"][timbre],
+              },
+            };
+          }),
+      },
+      chords: {
+        label: "chords",
+        generate: (count) =>
+          Array.from({ length: count }, (_, i) => {
+            const roots = "C C♯ D D♯ E F F♯ G G♯ A A♯ B".split(" ");
+            const rootIndex = i % 12;
+            const minor = Math.floor(i / 12) % 2 === 1;
+            const root = 261.63 * Math.pow(2, rootIndex / 12);
+            const quality = minor ? "minor" : "major";
+            return {
+              id: `chord-${i}`,
+              symbol: `♫ ${roots[rootIndex]}${minor ? "m" : ""}`,
+              name: `${roots[rootIndex]} ${quality} chord`,
+              sound: {
+                type: "chord",
+                frequencies: [0, minor ? 3 : 4, 7].map(
+                  (step) => root * Math.pow(2, step / 12)
+                ),
+              },
+            };
+          }),
+      },
+      "spoken-words": {
+        label: "spoken words",
+        variant: "numbered",
+        symbols: [
+          "apple",
+          "garden",
+          "window",
+          "pillow",
+          "river",
+          "candle",
+          "doctor",
+          "ladder",
+          "music",
+          "basket",
+          "orange",
+          "pencil",
+          "rabbit",
+          "sunset",
+          "teapot",
+          "violin",
+          "kitten",
+          "helmet",
+          "lemon",
+          "bottle",
+          "jacket",
+          "mirror",
+          "tiger",
+          "wagon",
+        ].map((word) => ({
+          symbol: word,
+          name: `spoken word ${word}`,
+          sound: { type: "speech", text: word },
+        })),
+      },
+    };
+
+    // Concept decks pair two different faces that belong together. Each
+    // side gets its own spoken name so the two cards never sound alike.
+    this.conceptThemes = {
+      "word-picture": {
+        label: "words and pictures",
+        pairs: [
+          ["🐶", "dog"],
+          ["🐱", "cat"],
+          ["🐮", "cow"],
+          ["🐷", "pig"],
+          ["🍎", "apple"],
+          ["🍌", "banana"],
+          ["🚗", "car"],
+          ["🚌", "bus"],
+          ["🏠", "house"],
+          ["🌳", "tree"],
+          ["☀️", "sun"],
+          ["🌙", "moon"],
+          ["🐟", "fish"],
+          ["🐦", "bird"],
+          ["🎂", "cake"],
+          ["📖", "book"],
+          ["🔑", "key"],
+          ["⏰", "clock"],
+        ].map(([picture, word]) => ({
+          id: word,
+          name: word,
+          sides: [
+            { symbol: picture, name: `picture: ${word}` },
+            { symbol: word, name: `word: ${word}`, kind: "word" },
+          ],
+        })),
+      },
+      "number-dots": {
+        label: "numbers and dots",
+        generate: (count) =>
+          Array.from({ length: count }, (_, i) => {
+            const number = i + 1;
+            // Dots are grouped in fives so larger amounts can be counted
+            const dots = "●".repeat(number).replace(/(●{5})(?=●)/g, "$1\n");
+            return {
+              id: `number-${number}`,
+              name: String(number),
+              sides: [
+                { symbol: String(number), name: `number: ${number}` },
+                {
+                  symbol: dots,
+                  name: `${number} ${number === 1 ? "dot" : "dots"}`,
+                  kind: "dots",
+                },
+              ],
+            };
+          }),
+      },
+      "name-face": {
+        label: "names and faces",
+        pairs: [
+          ["👵", "Grandmother"],
+          ["👴", "Grandfather"],
+          ["👶", "Baby"],
+          ["👩‍⚕️", "Doctor"],
+          ["👨‍🍳", "Chef"],
+          ["👩‍🏫", "Teacher"],
+          ["👨‍🚒", "Firefighter"],
+          ["👮", "Police officer"],
+          ["🧑‍🌾", "Farmer"],
+          ["👷", "Builder"],
+          ["🧑‍🎨", "Artist"],
+          ["🧑‍✈️", "Pilot"],
+          ["🧑‍🚀", "Astronaut"],
+          ["🤴", "King"],
+          ["👸", "Queen"],
+          ["🧙", "Wizard"],
+          ["🧑‍🔧", "Mechanic"],
+          ["💂", "Guard"],
+        ].map(([face, name]) => ({
+          id: name.toLowerCase(),
+          name: name.toLowerCase(),
+          sides: [
+            { symbol: face, name: `face: ${name.toLowerCase()}` },
+            { symbol: name, name: `name: ${name}`, kind: "word" },
+          ],
+        })),
+      },
+    };
+  }
+
+  getTheme(themeId) {
+    if (this.isCustomTheme(themeId)) {
+      const deck = window.storageManager?.getCustomDeck(themeId);
+      if (deck && deck.cards.length > 0) {
+        return this.createCustomTheme(deck);
+      }
+    }
+    return (
+      this.themes[themeId] || this.soundThemes[themeId] || this.themes.emojis
+    );
+  }
+
+  isSoundTheme(themeId) {
+    return Object.prototype.hasOwnProperty.call(this.soundThemes, themeId);
+  }
+
+  isCustomTheme(themeId) {
+    return typeof themeId === "string" && themeId.startsWith("custom-");
+  }
+
+  // Custom decks run out like any other theme and get numbered variants
+  createCustomTheme(deck) {
+    return {
+      label: deck.name,
+      variant: "numbered",
+      symbols: deck.cards.map((card, index) => ({
+        id: `${deck.id}-${index}`,
+        symbol: card.face || "",
+        name: card.label || card.face || card.alt,
+        image: card.image || null,
+        alt: card.alt || "",
+      })),
+    };
+  }
+
+  getThemeLabel(themeId) {
+    if (this.isConceptTheme(themeId)) {
+      return this.conceptThemes[themeId].label;
+    }
+    return this.getTheme(themeId).label;
+  }
+
+  isConceptTheme(themeId) {
+    return Object.prototype.hasOwnProperty.call(this.conceptThemes, themeId);
+  }
+
+  // Returns `count` sets of faces that match each other. Identical themes
+  // repeat one face; concept themes pair two different faces. Every face
+  // in a set shares a pairId, which is what the game compares.
+  generateSets(themeId, count, setSize = 2) {
+    if (this.isConceptTheme(themeId)) {
+      const theme = this.conceptThemes[themeId];
+      const pairs = theme.generate
+        ? theme.generate(count)
+        : theme.pairs.slice(0, count);
+
+      return pairs.map((pair) =>
+        pair.sides.map((side, index) => ({
+          ...this.createFace(
+            { id: `${themeId}:${pair.id}:${index}`, symbol: side.symbol },
+            side.name
+          ),
+          kind: side.kind || null,
+          pairId: `${themeId}:${pair.id}`,
+          pairName: pair.name,
+        }))
+      );
+    }
+
+    return this.generate(themeId, count).map((face) =>
+      Array.from({ length: setSize }, () => ({
+        ...face,
+        pairId: face.key,
+        pairName: face.name,
+      }))
+    );
+  }
+
+  createFace(item, name, color = null, variant = null) {
+    return {
+      key: [item.id || item.symbol, color || "", variant || ""].join("|"),
+      symbol: item.symbol,
+      image: item.image || null,
+      alt: item.alt || "",
+      sound: item.sound || null,
+      name,
+      color,
+      variant,
+    };
+  }
+
+  // Returns `count` distinct faces; the same theme and count always give
+  // the same faces, so seeded layouts stay reproducible
+  generate(themeId, count) {
+    const theme = this.getTheme(themeId);
+    const faces = [];
+
+    if (theme.generate) {
+      return theme
+        .generate(count)
+        .map((item) => this.createFace(item, item.name));
+    }
+
+    if (theme.variant === "count") {
+      for (let i = 1; i <= count; i++) {
+        faces.push(this.createFace({ symbol: String(i) }, String(i)));
+      }
+      return faces;
+    }
+
+    const base = theme.symbols;
+    for (let round = 0; faces.length < count; round++) {
+      for (const item of base) {
+        if (faces.length >= count) break;
+
+        if (round === 0) {
+          faces.push(this.createFace(item, item.name));
+        } else if (
+          theme.variant === "color" &&
+          round <= this.variantColors.length
+        ) {
+          const color = this.variantColors[round - 1];
+          faces.push(this.createFace(item, `${color} ${item.name}`, color));
+        } else {
+          // Numbered variants start at 2; the plain symbol is number 1
+          const number =
+            theme.variant === "color"
+              ? round - this.variantColors.length + 1
+              : round + 1;
+          faces.push(
+            this.createFace(item, `${item.name} number ${number}`, null, number)
+          );
+        }
+      }
+    }
+
+    return faces;
+  }
+
+  // Checks a dealt layout before play: every pair must have exactly
+  // setSize cards, faces must have distinct names and all cards must fit
+  validateLayout(cards, cellCount, expectedSets, setSize = 2) {
+    const errors = [];
+    const groups = new Map();
+    const names = new Map();
+
+    if (cards.length > cellCount) {
+      errors.push(
+        `${cards.length} cards do not fit on a board of ${cellCount} spaces.`
+      );
+    }
+
+    cards.forEach((card) => {
+      groups.set(card.pairId, (groups.get(card.pairId) || 0) + 1);
+
+      const owner = names.get(card.name);
+      if (owner && owner !== card.key) {
+        errors.push(`Two different cards are both called "${card.name}".`);
+      }
+      names.set(card.name, card.key);
+    });
+
+    groups.forEach((size, pairId) => {
+      if (size !== setSize) {
+        const name = cards.find((card) => card.pairId === pairId).pairName;
+        errors.push(
+          `"${name}" appears ${size} ${
+            size === 1 ? "time" : "times"
+          } instead of ${setSize}, so it can never be matched.`
+        );
+      }
+    });
+
+    if (groups.size !== expectedSets) {
+      errors.push(
+        `The deck has ${groups.size} different cards but the board needs ${expectedSets}.`
+      );
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+}
+
+// Initialize deck generator
+window.deckGenerator = new DeckGenerator();
@@ -2,48 +2,118 @@ class MatchingGame {
   constructor() {
     this.cards = [];
     this.flippedCards = [];
-    this.matchedPairs = 0;
+    this.matchedPairs = 0; // sets of setSize cards, pairs by default
     this.moves = 0;
+    this.mismatches = 0;
+    this.isResolving = false;
     this.score = 0;
     this.startTime = null;
     this.endTime = null;
     this.isPlaying = false;
     this.gameSession = null;
+    this.random = null;
+
+    // Per-flip event trace for the current game (see getEventTrace)
+    this.events = [];
+    this.lastFlipTime = null;
 
     this.gridSize = 4;
     this.difficulty = "medium";
     this.theme = "emojis";
-
-    this.themes = {
-      emojis: [
-        "🐶",
-        "🐱",
-        "🐭",
-        "🐹",
-        "🐰",
-        "🦊",
-        "🐻",
-        "🐼",
-        "🐨",
-        "🐯",
-        "🦁",
-        "🐸",
-      ],
-      shapes: ["●", "■", "▲", "♦", "★", "♠", "♥", "♣", "◆", "▼", "◀", "▶"],
-      numbers: ["1", "2", "3", "4", "5", "6", "7", "8", "9", "10", "11", "12"],
-      letters: ["A", "B", "C", "D", "E", "F", "G", "H", "I", "J", "K", "L"],
+    this.setSizeSetting = 2;
+    this.setSize = 2;
+
+    // Adaptive mode climbs or descends this ladder between games. Themes
+    // get harder to tell apart as well as the grid getting bigger.
+    this.adaptiveSteps = [
+      { gridSize: 3, theme: "numbers" },
+      { gridSize: 4, theme: "numbers" },
+      { gridSize: 4, theme: "emojis" },
+      { gridSize: 4, theme: "shapes" },
+      { gridSize: 5, theme: "emojis" },
+      { gridSize: 5, theme: "shapes" },
+    ];
+    this.adaptiveThresholds = {
+      lowCompletion: 0.5,
+      highCompletion: 0.8,
+      slowMovesPerPair: 2.5, // moves needed for each pair found
+      fastMovesPerPair: 1.6,
+      slowSecondsPerPair: 12,
+      fastSecondsPerPair: 6,
     };
+    this.adaptiveStep = 1;
+    this.adaptation = null;
+
+    // Sound decks can hide the card faces so pairs are found by ear only
+    this.hideSoundFaces = false;
+
+    // Hot-seat play: players share the board and take turns, and a match
+    // earns another turn
+    this.playerCount = 1;
+    this.playerNames = ["Player 1", "Player 2"];
+    this.players = [];
+    this.currentPlayer = 0;
+
+    // Each game gets a few hints; every hint costs points
+    this.hintBudgets = { 3: 2, 4: 3, 5: 4, 6: 5 };
+    this.hintPenalties = { peek: 50, region: 20, partner: 30 };
+    this.hintType = "peek";
+    this.hintsRemaining = 0;
+    this.hintsUsed = [];
+    this.hintPenalty = 0;
+
+    // Memory-efficiency results of the last finished game
+    this.efficiency = null;
+
+    // "memorize" shows every card before play; "time-attack" plays
+    // against a countdown that can be paused
+    this.modes = ["free", "memorize", "time-attack"];
+    this.mode = "free";
+    this.previewOptions = [3, 5, 10, 15];
+    this.previewSeconds = 5;
+    this.previewTimer = null;
+    this.secondsPerSet = 6;
+    this.timeAnnouncements = [60, 30, 10, 5];
+    this.timeLimit = 0;
+    this.timeRemaining = 0;
+    this.timer = null;
+    this.isPaused = false;
 
     this.elements = {
       gameArea: document.getElementById("matching-game"),
       board: document.getElementById("matching-board"),
       startBtn: document.getElementById("start-matching"),
+      seedDisplay: document.getElementById("matching-seed"),
+      efficiencySummary: document.getElementById("matching-efficiency"),
+      modeSelect: document.getElementById("matching-mode"),
+      previewGroup: document.getElementById("matching-preview-options"),
+      previewSelect: document.getElementById("matching-preview"),
+      leaderboard: document.getElementById("matching-leaderboard"),
+      timerDisplay: document.getElementById("matching-timer"),
+      timeRemaining: document.getElementById("time-remaining"),
+      pauseBtn: document.getElementById("pause-matching"),
       restartBtn: document.getElementById("restart-matching"),
       cardGrid: document.getElementById("card-grid"),
       feedback: document.getElementById("matching-feedback"),
       moveCount: document.getElementById("move-count"),
       pairsFound: document.getElementById("pairs-found"),
       totalPairs: document.getElementById("total-pairs"),
+      adaptationStatus: document.getElementById("matching-adaptation-status"),
+      difficultySelect: document.getElementById("matching-difficulty"),
+      themeSelect: document.getElementById("matching-theme"),
+      soundFacesSelect: document.getElementById("matching-sound-faces"),
+      setSizeSelect: document.getElementById("matching-set-size"),
+      setNoun: document.getElementById("set-noun"),
+      playersSelect: document.getElementById("matching-players"),
+      playerNamesGroup: document.getElementById("matching-player-names"),
+      playerNameInputs: [
+        document.getElementById("matching-player-1"),
+        document.getElementById("matching-player-2"),
+      ],
+      scoreboard: document.getElementById("matching-scoreboard"),
+      hintBtn: document.getElementById("hint-matching"),
+      hintTypeSelect: document.getElementById("matching-hint-type"),
+      hintsRemaining: document.getElementById("hints-remaining"),
     };
 
     this.init();
@@ -66,7 +136,42 @@ class MatchingGame {
       );
     }
 
-    const difficultySelect = document.getElementById("matching-difficulty");
+    if (this.elements.pauseBtn) {
+      this.elements.pauseBtn.addEventListener("click", () =>
+        this.togglePause()
+      );
+    }
+
+    // A countdown shouldn't run while the app is in the background
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden && this.timer && !this.isPaused) {
+        this.togglePause();
+      }
+    });
+
+    if (this.elements.modeSelect) {
+      this.elements.modeSelect.addEventListener("change", (e) => {
+        this.setMode(e.target.value);
+      });
+    }
+
+    if (this.elements.previewSelect) {
+      this.elements.previewSelect.addEventListener("change", (e) => {
+        this.setPreviewSeconds(parseInt(e.target.value));
+      });
+    }
+
+    if (this.elements.hintBtn) {
+      this.elements.hintBtn.addEventListener("click", () => this.provideHint());
+    }
+
+    if (this.elements.hintTypeSelect) {
+      this.elements.hintTypeSelect.addEventListener("change", (e) => {
+        this.setHintType(e.target.value);
+      });
+    }
+
+    const difficultySelect = this.elements.difficultySelect;
     if (difficultySelect) {
       difficultySelect.addEventListener("change", (e) => {
         this.difficulty = e.target.value;
@@ -74,7 +179,33 @@ class MatchingGame {
       });
     }
 
-    const themeSelect = document.getElementById("matching-theme");
+    if (this.elements.setSizeSelect) {
+      this.elements.setSizeSelect.addEventListener("change", (e) => {
+        this.setSetSize(parseInt(e.target.value));
+      });
+    }
+
+    if (this.elements.playersSelect) {
+      this.elements.playersSelect.addEventListener("change", (e) => {
+        this.setPlayerCount(parseInt(e.target.value));
+      });
+    }
+
+    this.elements.playerNameInputs.forEach((input, index) => {
+      if (input) {
+        input.addEventListener("change", (e) => {
+          this.setPlayerName(index, e.target.value);
+        });
+      }
+    });
+
+    if (this.elements.soundFacesSelect) {
+      this.elements.soundFacesSelect.addEventListener("change", (e) => {
+        this.setHideSoundFaces(e.target.value === "hide");
+      });
+    }
+
+    const themeSelect = this.elements.themeSelect;
     if (themeSelect) {
       themeSelect.addEventListener("change", (e) => {
         this.theme = e.target.value;
@@ -109,12 +240,119 @@ class MatchingGame {
         "matching-gridsize",
         4
       );
+      const adaptiveStep = window.storageManager.getUserPreference(
+        "matching-adaptive-step",
+        1
+      );
+      // Step 0 is the easiest rung, so only a missing value falls back
+      this.adaptiveStep = Number.isInteger(adaptiveStep) ? adaptiveStep : 1;
+      this.hideSoundFaces = window.storageManager.getUserPreference(
+        "matching-hide-sound-faces",
+        false
+      );
+      this.setSizeSetting = window.storageManager.getUserPreference(
+        "matching-set-size",
+        2
+      );
+      this.playerCount = window.storageManager.getUserPreference(
+        "matching-player-count",
+        1
+      );
+      this.playerNames = window.storageManager.getUserPreference(
+        "matching-player-names",
+        ["Player 1", "Player 2"]
+      );
+      this.hintType = window.storageManager.getUserPreference(
+        "matching-hint-type",
+        "peek"
+      );
+      this.mode = window.storageManager.getUserPreference(
+        "matching-mode",
+        "free"
+      );
+      this.previewSeconds = window.storageManager.getUserPreference(
+        "matching-preview-seconds",
+        5
+      );
+    }
+
+    if (this.elements.modeSelect) {
+      this.elements.modeSelect.value = this.mode;
+    }
+    if (this.elements.previewSelect) {
+      this.elements.previewSelect.value = String(this.previewSeconds);
+    }
+    this.updateModeOptions();
+    this.renderLeaderboard();
+
+    if (this.elements.hintTypeSelect) {
+      this.elements.hintTypeSelect.value = this.hintType;
     }
 
+    if (this.elements.playersSelect) {
+      this.elements.playersSelect.value = String(this.playerCount);
+    }
+    this.elements.playerNameInputs.forEach((input, index) => {
+      if (input) {
+        input.value = this.playerNames[index] || "";
+      }
+    });
+    this.updatePlayerNamesVisibility();
+
+    if (this.elements.setSizeSelect) {
+      this.elements.setSizeSelect.value = String(this.setSizeSetting);
+    }
+
+    if (this.elements.soundFacesSelect) {
+      this.elements.soundFacesSelect.value = this.hideSoundFaces
+        ? "hide"
+        : "show";
+    }
+
+    if (this.elements.difficultySelect) {
+      this.elements.difficultySelect.value = this.difficulty;
+    }
+
+    this.refreshThemeOptions();
     this.updateDifficulty();
     this.updateTheme();
   }
 
+  // Lists the player's own decks after the built-in themes
+  refreshThemeOptions() {
+    const select = this.elements.themeSelect;
+    const decks = window.storageManager?.getCustomDecks() || [];
+
+    if (
+      window.deckGenerator.isCustomTheme(this.theme) &&
+      !decks.some((deck) => deck.id === this.theme)
+    ) {
+      this.theme = "emojis";
+      this.updateTheme();
+    }
+
+    if (!select) return;
+
+    select.querySelector("#custom-deck-options")?.remove();
+
+    if (decks.length > 0) {
+      const group = document.createElement("optgroup");
+      group.id = "custom-deck-options";
+      group.label = "Your decks";
+
+      decks.forEach((deck) => {
+        const option = document.createElement("option");
+        option.value = deck.id;
+        option.textContent = deck.name;
+        group.appendChild(option);
+      });
+
+      select.appendChild(group);
+    }
+
+    select.value = this.theme;
+  }
+
   updateDifficulty() {
     const difficulties = {
       easy: { gridSize: 3, pairs: 4 },
@@ -123,10 +361,22 @@ class MatchingGame {
       expert: { gridSize: 6, pairs: 18 },
     };
 
-    const config = difficulties[this.difficulty] || difficulties.medium;
+    let config = difficulties[this.difficulty] || difficulties.medium;
+    if (this.difficulty === "adaptive") {
+      const step = this.getAdaptiveStep();
+      config = {
+        gridSize: step.gridSize,
+        pairs: Math.floor((step.gridSize * step.gridSize) / 2),
+      };
+    }
+
     this.gridSize = config.gridSize;
     this.totalPairs = config.pairs;
 
+    if (this.elements.adaptationStatus) {
+      this.elements.adaptationStatus.hidden = this.difficulty !== "adaptive";
+    }
+
     if (window.storageManager) {
       window.storageManager.saveUserPreference(
         "matching-difficulty",
@@ -145,11 +395,456 @@ class MatchingGame {
     }
   }
 
+  setSetSize(size) {
+    if (![2, 3, 4].includes(size)) return;
+
+    this.setSizeSetting = size;
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference("matching-set-size", size);
+    }
+  }
+
+  // Concept decks have exactly two sides, so they are always played in pairs
+  getActiveSetSize() {
+    return this.isConceptGame() ? 2 : this.setSizeSetting;
+  }
+
+  getSetNoun(plural = false) {
+    const nouns = {
+      2: ["pair", "pairs"],
+      3: ["triple", "triples"],
+      4: ["set of four", "sets of four"],
+    };
+    return (nouns[this.setSize] || nouns[2])[plural ? 1 : 0];
+  }
+
+  setMode(mode) {
+    if (!this.modes.includes(mode)) return;
+
+    this.mode = mode;
+    this.updateModeOptions();
+    this.renderLeaderboard();
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference("matching-mode", mode);
+    }
+  }
+
+  setPreviewSeconds(seconds) {
+    if (!this.previewOptions.includes(seconds)) return;
+
+    this.previewSeconds = seconds;
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference(
+        "matching-preview-seconds",
+        seconds
+      );
+    }
+  }
+
+  updateModeOptions() {
+    if (this.elements.previewGroup) {
+      this.elements.previewGroup.hidden = this.mode !== "memorize";
+    }
+  }
+
+  // Time attack allows a few seconds for each set, rounded to 5 seconds
+  getTimeLimit() {
+    const seconds = this.totalPairs * this.secondsPerSet;
+    return Math.max(30, Math.ceil(seconds / 5) * 5);
+  }
+
+  // Every card is shown face up; the clock starts once they turn back
+  startPreview() {
+    const elements = [...this.elements.cardGrid.querySelectorAll(".card")];
+    this.isResolving = true;
+
+    elements.forEach((element, index) => {
+      element.classList.add("peek");
+      element.setAttribute(
+        "aria-label",
+        `Card ${index + 1}, showing ${this.getSpokenName(this.cards[index])}`
+      );
+    });
+
+    const message = `Memorize the cards. They turn over in ${this.previewSeconds} seconds.`;
+    this.showFeedback(message, "info");
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(message);
+    }
+
+    this.previewTimer = setTimeout(() => {
+      this.previewTimer = null;
+      elements.forEach((element, index) => {
+        element.classList.remove("peek");
+        element.setAttribute("aria-label", `Card ${index + 1}, face down`);
+      });
+
+      this.isResolving = false;
+      this.startTime = Date.now();
+      this.recordEvent("preview", {
+        positions: this.cards.map((card, index) => index),
+        duration: this.previewSeconds * 1000,
+      });
+
+      const started = "Cards turned over. Find the matches!";
+      this.showFeedback(started, "info");
+
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announce(started);
+      }
+    }, this.previewSeconds * 1000);
+  }
+
+  startCountdown() {
+    this.timeLimit = this.getTimeLimit();
+    this.timeRemaining = this.timeLimit;
+    this.updateTimerDisplay();
+
+    this.timer = setInterval(() => this.tick(), 1000);
+  }
+
+  tick() {
+    if (this.isPaused || !this.isPlaying) return;
+
+    this.timeRemaining--;
+    this.updateTimerDisplay();
+
+    if (this.timeRemaining <= 0) {
+      this.handleTimeUp();
+    } else if (this.timeAnnouncements.includes(this.timeRemaining)) {
+      this.announceTimeRemaining();
+    }
+  }
+
+  announceTimeRemaining() {
+    const message = `${this.formatTime(this.timeRemaining * 1000)} left.`;
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(message);
+    }
+
+    if (window.audioManager) {
+      window.audioManager.speak(message);
+    }
+  }
+
+  updateTimerDisplay() {
+    const timed = this.mode === "time-attack" && this.timeLimit > 0;
+
+    if (this.elements.timerDisplay) {
+      this.elements.timerDisplay.hidden = !timed;
+    }
+    if (this.elements.timeRemaining) {
+      this.elements.timeRemaining.textContent = this.formatTime(
+        this.timeRemaining * 1000
+      );
+    }
+    if (this.elements.pauseBtn) {
+      this.elements.pauseBtn.hidden = !timed;
+    }
+  }
+
+  stopTimers() {
+    clearInterval(this.timer);
+    clearTimeout(this.previewTimer);
+    clearTimeout(this.completeTimer);
+    this.timer = null;
+    this.previewTimer = null;
+    this.completeTimer = null;
+  }
+
+  togglePause() {
+    if (!this.isPlaying || this.mode !== "time-attack") return;
+
+    this.isPaused = !this.isPaused;
+    this.elements.cardGrid?.classList.toggle("paused", this.isPaused);
+
+    if (this.isPaused) {
+      this.showFeedback("Game Paused", "info");
+      this.elements.pauseBtn.innerHTML =
+        '<span class="button-icon" aria-hidden="true">▶️</span>Resume';
+
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announceGameState("pause");
+      }
+    } else {
+      this.clearFeedback();
+      this.elements.pauseBtn.innerHTML =
+        '<span class="button-icon" aria-hidden="true">⏸️</span>Pause';
+
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announceGameState("resume");
+      }
+    }
+
+    if (window.audioManager) {
+      window.audioManager.playButtonSound();
+    }
+  }
+
+  handleTimeUp() {
+    this.stopTimers();
+    this.isPlaying = false;
+    this.endTime = Date.now();
+
+    let message = `Time's up! You found ${this.matchedPairs} of ${
+      this.totalPairs
+    } ${this.getSetNoun(true)}.`;
+
+    if (this.isMultiplayer()) {
+      this.recordPlayerSessions(false);
+      message = `Time's up! ${this.describeResults()}`;
+    } else if (window.storageManager && this.gameSession) {
+      window.storageManager.recordGameEnd("matching", {
+        score: this.score,
+        moves: this.moves,
+        completed: false,
+        time: this.timeLimit * 1000,
+        seed: this.random.seed,
+        ...this.getSessionDetails(),
+        events: this.getEventTrace(),
+      });
+    }
+
+    this.showFeedback(message, "error");
+
+    if (window.audioManager) {
+      window.audioManager.playErrorSound();
+      window.audioManager.speak(message);
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(message, "assertive");
+    }
+
+    setTimeout(() => {
+      this.showRestartOption();
+    }, 3000);
+  }
+
+  renderLeaderboard() {
+    const board = this.elements.leaderboard;
+    if (!board) return;
+
+    const entries =
+      this.mode === "free"
+        ? []
+        : window.storageManager?.getMatchingLeaderboard(this.mode) || [];
+
+    if (entries.length === 0) {
+      board.hidden = true;
+      return;
+    }
+
+    const title = this.mode === "memorize" ? "Memorize first" : "Time attack";
+    board.innerHTML = `
+            <h3>${title} leaderboard</h3>
+            <ol>
+                ${entries
+                  .map(
+                    (entry) => `
+                    <li>${entry.score} points – ${entry.moves} moves, ${
+                      entry.gridSize
+                    }×${entry.gridSize}${
+                      entry.timeRemaining !== undefined
+                        ? `, ${this.formatTime(
+                            entry.timeRemaining * 1000
+                          )} to spare`
+                        : ""
+                    }</li>`
+                  )
+                  .join("")}
+            </ol>
+        `;
+    board.hidden = false;
+  }
+
+  setPlayerCount(count) {
+    if (![1, 2].includes(count)) return;
+
+    this.playerCount = count;
+    this.updatePlayerNamesVisibility();
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference("matching-player-count", count);
+    }
+  }
+
+  setPlayerName(index, name) {
+    this.playerNames[index] = name.trim().slice(0, 20);
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference(
+        "matching-player-names",
+        this.playerNames
+      );
+    }
+  }
+
+  updatePlayerNamesVisibility() {
+    if (this.elements.playerNamesGroup) {
+      this.elements.playerNamesGroup.hidden = this.playerCount < 2;
+    }
+  }
+
+  isMultiplayer() {
+    return this.players.length > 1;
+  }
+
+  createPlayers() {
+    if (this.playerCount < 2) return [];
+
+    return Array.from({ length: this.playerCount }, (_, index) => ({
+      name: this.playerNames[index] || `Player ${index + 1}`,
+      score: 0,
+      sets: 0,
+      moves: 0,
+      mismatches: 0,
+    }));
+  }
+
+  getCurrentPlayer() {
+    return this.players[this.currentPlayer] || null;
+  }
+
+  nextTurn() {
+    this.currentPlayer = (this.currentPlayer + 1) % this.players.length;
+    this.updateScoreboard();
+  }
+
+  updateScoreboard() {
+    const scoreboard = this.elements.scoreboard;
+    if (!scoreboard) return;
+
+    scoreboard.hidden = !this.isMultiplayer();
+    scoreboard.innerHTML = "";
+
+    this.players.forEach((player, index) => {
+      const item = document.createElement("li");
+      const isCurrent = index === this.currentPlayer && this.isPlaying;
+      item.className = `player-score${isCurrent ? " current-player" : ""}`;
+      if (isCurrent) {
+        item.setAttribute("aria-current", "true");
+      }
+
+      const name = document.createElement("span");
+      name.className = "player-name";
+      name.textContent = player.name;
+
+      const score = document.createElement("span");
+      score.className = "player-points";
+      score.textContent = `${player.score} points, ${
+        player.sets
+      } ${this.getSetNoun(player.sets !== 1)}`;
+
+      item.append(name, score);
+      scoreboard.appendChild(item);
+    });
+  }
+
+  // Both players' results are saved together as linked sessions
+  recordPlayerSessions(completed) {
+    if (!window.storageManager) return;
+
+    const best = Math.max(...this.players.map((p) => p.score));
+    const winners = this.players.filter((p) => p.score === best);
+
+    window.storageManager.recordLinkedGame(
+      "matching",
+      {
+        startTime: this.startTime,
+        completed,
+        time: Date.now() - this.startTime,
+        seed: this.random.seed,
+        ...this.getSessionDetails(),
+      },
+      this.players.map((player) => ({
+        player: player.name,
+        score: player.score,
+        moves: player.moves,
+        sets: player.sets,
+        won: completed && winners.length === 1 && winners[0] === player,
+      }))
+    );
+  }
+
+  describeResults() {
+    const best = Math.max(...this.players.map((p) => p.score));
+    const winners = this.players.filter((p) => p.score === best);
+    const scores = this.players
+      .map(
+        (p) =>
+          `${p.name}: ${p.score} points, ${p.sets} ${this.getSetNoun(
+            p.sets !== 1
+          )}`
+      )
+      .join(". ");
+
+    const headline =
+      winners.length === 1 ? `${winners[0].name} wins!` : "It's a tie!";
+    return `${headline} ${scores}.`;
+  }
+
+  setHideSoundFaces(hide) {
+    this.hideSoundFaces = hide;
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference(
+        "matching-hide-sound-faces",
+        hide
+      );
+    }
+  }
+
+  isSoundGame() {
+    return window.deckGenerator.isSoundTheme(this.getActiveTheme());
+  }
+
+  getSoundType() {
+    return this.cards.find((card) => card.sound)?.sound.type || null;
+  }
+
+  isFaceHidden(card) {
+    return Boolean(card.sound) && this.hideSoundFaces && !card.matched;
+  }
+
+  // What the player is told about a face-up card; hidden sound cards
+  // must not give their answer away in text
+  getSpokenName(card) {
+    return this.isFaceHidden(card) ? "a sound" : card.name;
+  }
+
   startGame() {
     this.resetGame();
+    this.random = window.randomManager.startGame();
+
+    if (this.difficulty === "adaptive") {
+      this.updateAdaptation();
+    }
+
+    this.setSize = this.getActiveSetSize();
+    const layout = this.generateCards();
+    if (!layout.valid) {
+      this.showDealError(layout.errors);
+      return;
+    }
+
+    this.players = this.createPlayers();
+    this.currentPlayer = 0;
+    this.hintsRemaining = this.getHintBudget();
+
     this.isPlaying = true;
     this.startTime = Date.now();
-    this.gameSession = window.storageManager?.recordGameStart("matching");
+    // Two-player games are saved once they end, one session per player
+    this.gameSession = this.isMultiplayer()
+      ? null
+      : window.storageManager?.recordGameStart("matching", {
+          pairType: this.isConceptGame() ? "concept" : "identical",
+        });
 
     const instructions =
       this.elements.gameArea.querySelector(".game-instructions");
@@ -158,18 +853,45 @@ class MatchingGame {
     }
     this.elements.board.hidden = false;
 
-    this.generateCards();
     this.displayCards();
+    if (this.mode === "time-attack") {
+      this.startCountdown();
+    }
     this.updateDisplay();
+    this.updateScoreboard();
+
+    if (
+      this.isSoundGame() &&
+      !window.audioManager?.canPlayCardSounds(this.getSoundType())
+    ) {
+      this.showFeedback(
+        "Sound is turned off, so these cards will be silent. Turn on audio in settings to match by ear.",
+        "error"
+      );
+    }
+
+    const firstPlayer = this.getCurrentPlayer()?.name;
 
     if (window.accessibilityManager) {
-      window.accessibilityManager.announceGameState("game-start");
+      if (firstPlayer) {
+        window.accessibilityManager.announce(
+          `Game started. ${firstPlayer} goes first.`
+        );
+      } else {
+        window.accessibilityManager.announceGameState("game-start");
+      }
     }
 
     if (window.audioManager) {
-      window.audioManager.announceGameEvent("gameStart");
+      window.audioManager.announceGameEvent("gameStart", {
+        player: firstPlayer,
+      });
       window.audioManager.announceInstructions("matching");
     }
+
+    if (this.mode === "memorize") {
+      this.startPreview();
+    }
   }
 
   resetGame() {
@@ -177,23 +899,48 @@ class MatchingGame {
     this.flippedCards = [];
     this.matchedPairs = 0;
     this.moves = 0;
+    this.mismatches = 0;
+    this.isResolving = false;
     this.score = 0;
     this.startTime = null;
     this.endTime = null;
     this.isPlaying = false;
+    this.events = [];
+    this.lastFlipTime = null;
+    this.players = [];
+    this.currentPlayer = 0;
+    this.hintsRemaining = 0;
+    this.hintsUsed = [];
+    this.hintPenalty = 0;
+    this.efficiency = null;
+    this.stopTimers();
+    this.timeLimit = 0;
+    this.timeRemaining = 0;
+    this.isPaused = false;
+    this.elements.cardGrid?.classList.remove("paused");
+    if (this.elements.pauseBtn) {
+      this.elements.pauseBtn.innerHTML =
+        '<span class="button-icon" aria-hidden="true">⏸️</span>Pause';
+    }
 
     this.clearFeedback();
     this.updateDisplay();
+    this.updateScoreboard();
   }
 
   restartGame() {
     if (this.isPlaying) {
-      if (window.storageManager && this.gameSession) {
+      if (this.isMultiplayer()) {
+        this.recordPlayerSessions(false);
+      } else if (window.storageManager && this.gameSession) {
         window.storageManager.recordGameEnd("matching", {
           score: this.score,
           moves: this.moves,
           completed: false,
           time: Date.now() - this.startTime,
+          seed: this.random.seed,
+          ...this.getSessionDetails(),
+          events: this.getEventTrace(),
         });
       }
     }
@@ -205,26 +952,139 @@ class MatchingGame {
     }
   }
 
+  getAdaptiveStep() {
+    const index = Math.max(
+      0,
+      Math.min(this.adaptiveStep, this.adaptiveSteps.length - 1)
+    );
+    return this.adaptiveSteps[index];
+  }
+
+  getActiveTheme() {
+    return this.difficulty === "adaptive"
+      ? this.getAdaptiveStep().theme
+      : this.theme;
+  }
+
+  describeStep(step) {
+    return `${step.gridSize}×${
+      step.gridSize
+    } grid of ${window.deckGenerator.getThemeLabel(step.theme)}`;
+  }
+
+  calculateAdaptation() {
+    const performance = window.storageManager?.getRecentPerformance(
+      "matching",
+      3
+    );
+    const thresholds = this.adaptiveThresholds;
+    const current = this.getAdaptiveStep();
+
+    if (!performance || performance.sessionCount === 0) {
+      return {
+        mode: "steady",
+        step: this.adaptiveStep,
+        reason: `Starting on a ${this.describeStep(
+          current
+        )}. The board will adjust as you play.`,
+      };
+    }
+
+    const { completionRate, movesPerPair, secondsPerPair } = performance;
+    const evidence = [
+      `${Math.round(completionRate * 100)}% of recent games finished`,
+      movesPerPair !== null
+        ? `${movesPerPair.toFixed(1)} moves per pair`
+        : null,
+      secondsPerPair !== null
+        ? `${Math.round(secondsPerPair)}s per pair`
+        : null,
+    ]
+      .filter(Boolean)
+      .join(", ");
+
+    const isStruggling =
+      completionRate < thresholds.lowCompletion ||
+      (movesPerPair !== null && movesPerPair > thresholds.slowMovesPerPair) ||
+      (secondsPerPair !== null &&
+        secondsPerPair > thresholds.slowSecondsPerPair);
+    const isExcelling =
+      completionRate >= thresholds.highCompletion &&
+      movesPerPair !== null &&
+      movesPerPair <= thresholds.fastMovesPerPair &&
+      (secondsPerPair === null ||
+        secondsPerPair <= thresholds.fastSecondsPerPair);
+
+    if (isStruggling && this.adaptiveStep > 0) {
+      const step = this.adaptiveStep - 1;
+      return {
+        mode: "easier",
+        step,
+        reason: `Made it easier (${evidence}): now a ${this.describeStep(
+          this.adaptiveSteps[step]
+        )}.`,
+      };
+    }
+
+    if (isExcelling && this.adaptiveStep < this.adaptiveSteps.length - 1) {
+      const step = this.adaptiveStep + 1;
+      return {
+        mode: "harder",
+        step,
+        reason: `Made it harder (${evidence}): now a ${this.describeStep(
+          this.adaptiveSteps[step]
+        )}.`,
+      };
+    }
+
+    return {
+      mode: "steady",
+      step: this.adaptiveStep,
+      reason: `Staying on a ${this.describeStep(current)} (${evidence}).`,
+    };
+  }
+
+  updateAdaptation() {
+    this.adaptation = this.calculateAdaptation();
+    this.adaptiveStep = this.adaptation.step;
+    this.updateDifficulty();
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference(
+        "matching-adaptive-step",
+        this.adaptiveStep
+      );
+    }
+
+    if (this.elements.adaptationStatus) {
+      this.elements.adaptationStatus.textContent = this.adaptation.reason;
+      this.elements.adaptationStatus.dataset.mode = this.adaptation.mode;
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(this.adaptation.reason, "polite");
+    }
+  }
+
   generateCards() {
-    const symbols = this.themes[this.theme] || this.themes.emojis;
-    const pairsNeeded = Math.floor((this.gridSize * this.gridSize) / 2);
-    const selectedSymbols = symbols.slice(0, pairsNeeded);
+    const cellCount = this.gridSize * this.gridSize;
+    const pairsNeeded = Math.floor(cellCount / this.setSize);
+    const sets = window.deckGenerator.generateSets(
+      this.getActiveTheme(),
+      pairsNeeded,
+      this.setSize
+    );
 
     // Create pairs
     this.cards = [];
-    selectedSymbols.forEach((symbol, index) => {
-      // Add two cards for each symbol
-      this.cards.push({
-        id: `card-${index}-1`,
-        symbol: symbol,
-        matched: false,
-        flipped: false,
-      });
-      this.cards.push({
-        id: `card-${index}-2`,
-        symbol: symbol,
-        matched: false,
-        flipped: false,
+    sets.forEach((faces, index) => {
+      faces.forEach((face, copy) => {
+        this.cards.push({
+          ...face,
+          id: `card-${index}-${copy + 1}`,
+          matched: false,
+          flipped: false,
+        });
       });
     });
 
@@ -234,15 +1094,31 @@ class MatchingGame {
     if (this.elements.totalPairs) {
       this.elements.totalPairs.textContent = this.totalPairs;
     }
+
+    return window.deckGenerator.validateLayout(
+      this.cards,
+      cellCount,
+      pairsNeeded,
+      this.setSize
+    );
   }
 
-  shuffleCards() {
-    for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
+  showDealError(errors) {
+    const message = `This board can't be completed, so it wasn't dealt. ${errors[0]}`;
+    console.error("Invalid matching layout:", errors);
+
+    this.elements.board.hidden = false;
+    this.showFeedback(message, "error");
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(message, "assertive");
     }
   }
 
+  shuffleCards() {
+    this.random.shuffle(this.cards);
+  }
+
   displayCards() {
     if (!this.elements.cardGrid) return;
 
@@ -256,11 +1132,36 @@ class MatchingGame {
     });
   }
 
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+
+  renderFace(card) {
+    const color = card.color ? ` data-color="${card.color}"` : "";
+    const kind = card.kind ? ` data-kind="${card.kind}"` : "";
+    const variant = card.variant
+      ? `<span class="card-variant">${card.variant}</span>`
+      : "";
+    // Custom decks can use a photo, with or without face text
+    const image = card.image
+      ? `<img class="card-image" src="${this.escapeHtml(
+          card.image
+        )}" alt="${this.escapeHtml(card.alt || card.name)}">`
+      : "";
+    const symbol = this.isFaceHidden(card) ? "🔊" : card.symbol;
+    const text = symbol
+      ? `<span class="card-text">${this.escapeHtml(symbol)}</span>`
+      : "";
+
+    return `<div class="card-front"${color}${kind}>${image}${text}${variant}</div>`;
+  }
+
   createCardElement(card, index) {
     const cardEl = document.createElement("button");
     cardEl.className = "card";
     cardEl.dataset.cardId = card.id;
-    cardEl.dataset.symbol = card.symbol;
     cardEl.setAttribute("role", "gridcell");
     cardEl.setAttribute("tabindex", "0");
     cardEl.setAttribute("aria-label", `Card ${index + 1}, face down`);
@@ -268,7 +1169,7 @@ class MatchingGame {
 
     cardEl.innerHTML = `
             <div class="card-content">
-                <div class="card-front">${card.symbol}</div>
+                ${this.renderFace(card)}
                 <div class="card-back">?</div>
             </div>
         `;
@@ -295,11 +1196,20 @@ class MatchingGame {
   }
 
   handleCardClick(card, cardElement, index) {
+    if (this.isPaused) return;
+
+    // A face-up sound card can be played again before choosing its partner
+    if (this.isPlaying && card.flipped && !card.matched && card.sound) {
+      window.audioManager?.playCardSound(card.sound);
+      return;
+    }
+
     if (
       !this.isPlaying ||
       card.flipped ||
       card.matched ||
-      this.flippedCards.length >= 2
+      this.isResolving ||
+      this.flippedCards.length >= this.setSize
     ) {
       return;
     }
@@ -308,20 +1218,47 @@ class MatchingGame {
 
     this.flippedCards.push({ card, element: cardElement, index });
 
-    if (this.flippedCards.length === 2) {
+    // Time between flips is measured from the previous flip, or from the
+    // start of the game for the very first one
+    const now = Date.now();
+    this.recordEvent("flip", {
+      position: index,
+      card: card.name,
+      flipInMove: this.flippedCards.length,
+      sinceLastFlip: now - (this.lastFlipTime || this.startTime),
+    });
+    this.lastFlipTime = now;
+
+    // With sets larger than a pair the move ends as soon as a card
+    // doesn't belong with the first one
+    const isOddOneOut = card.pairId !== this.flippedCards[0].card.pairId;
+
+    if (this.flippedCards.length === this.setSize || isOddOneOut) {
       this.moves++;
+      if (this.getCurrentPlayer()) {
+        this.getCurrentPlayer().moves++;
+      }
+      this.isResolving = true;
       this.updateDisplay();
 
-      setTimeout(() => {
-        this.checkForMatch();
-      }, 1000);
+      // Leave time for the last sound to finish before judging
+      setTimeout(
+        () => {
+          this.checkForMatch();
+        },
+        card.sound ? 1500 : 1000
+      );
     }
 
     if (window.audioManager) {
-      window.audioManager.playButtonSound();
-      window.audioManager.announceGameEvent("cardFlip", {
-        content: card.symbol,
-      });
+      if (card.sound) {
+        window.audioManager.playCardSound(card.sound);
+      } else {
+        window.audioManager.playButtonSound();
+        window.audioManager.announceGameEvent("cardFlip", {
+          content: card.name,
+        });
+      }
     }
   }
 
@@ -330,100 +1267,137 @@ class MatchingGame {
     cardElement.classList.add("flipped");
     cardElement.setAttribute(
       "aria-label",
-      `Card ${index + 1}, showing ${card.symbol}`
+      `Card ${index + 1}, showing ${this.getSpokenName(card)}`
     );
 
     const desc = cardElement.querySelector(`#card-desc-${index}`);
     if (desc) {
-      desc.textContent = `Position ${index + 1}. Showing ${card.symbol}.`;
+      desc.textContent = `Position ${index + 1}. Showing ${this.getSpokenName(
+        card
+      )}.${card.alt ? ` ${card.alt}` : ""}`;
     }
 
     if (window.accessibilityManager) {
       window.accessibilityManager.announce(
-        `Card flipped, showing ${card.symbol}`
+        `Card flipped, showing ${this.getSpokenName(card)}`
       );
     }
   }
 
   checkForMatch() {
-    if (this.flippedCards.length !== 2) return;
+    const flipped = this.flippedCards;
+    this.flippedCards = [];
+    this.isResolving = false;
+
+    // The countdown may have run out while the cards were face up
+    if (!this.isPlaying) return;
 
-    const [first, second] = this.flippedCards;
+    if (flipped.length === 0) return;
 
-    if (first.card.symbol === second.card.symbol) {
-      this.handleMatch(first, second);
+    const isMatch =
+      flipped.length === this.setSize &&
+      flipped.every((f) => f.card.pairId === flipped[0].card.pairId);
+    this.recordEvent(isMatch ? "match" : "mismatch", {
+      move: this.moves,
+      positions: flipped.map((f) => f.index),
+    });
+
+    if (isMatch) {
+      this.handleMatch(flipped);
     } else {
-      this.handleMismatch(first, second);
+      this.handleMismatch(flipped);
     }
-
-    this.flippedCards = [];
   }
 
-  handleMatch(first, second) {
-    first.card.matched = true;
-    second.card.matched = true;
-    first.element.classList.add("matched");
-    second.element.classList.add("matched");
+  handleMatch(flipped) {
+    flipped.forEach(({ card, element, index }) => {
+      card.matched = true;
+      element.classList.add("matched");
+      element.setAttribute(
+        "aria-label",
+        `Card ${index + 1}, matched ${card.name}`
+      );
 
-    first.element.setAttribute(
-      "aria-label",
-      `Card ${first.index + 1}, matched ${first.card.symbol}`
-    );
-    second.element.setAttribute(
-      "aria-label",
-      `Card ${second.index + 1}, matched ${second.card.symbol}`
-    );
+      // Hidden sound faces are revealed once the set is found
+      const text = element.querySelector(".card-text");
+      if (card.sound && text) {
+        text.textContent = card.symbol;
+      }
 
-    first.element.disabled = true;
-    second.element.disabled = true;
-    first.element.setAttribute("tabindex", "-1");
-    second.element.setAttribute("tabindex", "-1");
+      element.disabled = true;
+      element.setAttribute("tabindex", "-1");
+    });
 
     this.matchedPairs++;
-    this.score += this.calculateMatchScore();
+    const matchScore = this.calculateMatchScore();
+    this.score += matchScore;
+
+    const player = this.getCurrentPlayer();
+    if (player) {
+      player.score += matchScore;
+      player.sets++;
+      this.updateScoreboard();
+    }
 
-    this.showFeedback(`Match found! ${first.card.symbol}`, "success");
+    const matchText = this.describeMatch(flipped.map((f) => f.card));
+    this.showFeedback(`Match found! ${matchText}`, "success");
     this.updateDisplay();
 
     if (window.audioManager) {
       window.audioManager.playSuccessSound();
       window.audioManager.announceGameEvent("cardMatch", {
-        content: first.card.symbol,
+        content: matchText,
+        player: player?.name,
       });
     }
 
     if (window.accessibilityManager) {
+      const scorer = player ? ` ${player.name} scores and goes again.` : "";
       window.accessibilityManager.announce(
-        `Match found! ${first.card.symbol}. ${this.matchedPairs} of ${this.totalPairs} pairs found.`
+        `Match found! ${matchText}. ${this.matchedPairs} of ${
+          this.totalPairs
+        } ${this.getSetNoun(true)} found.${scorer}`
       );
     }
 
     if (this.matchedPairs === this.totalPairs) {
-      setTimeout(() => this.handleGameComplete(), 500);
+      this.completeTimer = setTimeout(() => this.handleGameComplete(), 500);
     }
   }
 
-  handleMismatch(first, second) {
+  describeMatch(cards) {
+    const names = [...new Set(cards.map((card) => card.name))];
+    return names.length === 1 ? names[0] : names.join(" goes with ");
+  }
+
+  isConceptGame() {
+    return window.deckGenerator.isConceptTheme(this.getActiveTheme());
+  }
+
+  handleMismatch(flipped) {
+    this.mismatches++;
+
+    // The turn passes straight away so the next flip counts for the
+    // next player
+    let nextPlayer = null;
+    if (this.isMultiplayer()) {
+      this.getCurrentPlayer().mismatches++;
+      this.nextTurn();
+      nextPlayer = this.getCurrentPlayer().name;
+    }
+
     setTimeout(() => {
-      first.card.flipped = false;
-      second.card.flipped = false;
-      first.element.classList.remove("flipped");
-      second.element.classList.remove("flipped");
-      first.element.classList.add("mismatched");
-      second.element.classList.add("mismatched");
-
-      first.element.setAttribute(
-        "aria-label",
-        `Card ${first.index + 1}, face down`
-      );
-      second.element.setAttribute(
-        "aria-label",
-        `Card ${second.index + 1}, face down`
-      );
+      flipped.forEach(({ card, element, index }) => {
+        card.flipped = false;
+        element.classList.remove("flipped");
+        element.classList.add("mismatched");
+        element.setAttribute("aria-label", `Card ${index + 1}, face down`);
+      });
 
       setTimeout(() => {
-        first.element.classList.remove("mismatched");
-        second.element.classList.remove("mismatched");
+        flipped.forEach(({ element }) => {
+          element.classList.remove("mismatched");
+        });
       }, 500);
     }, 100);
 
@@ -431,12 +1405,16 @@ class MatchingGame {
 
     if (window.audioManager) {
       window.audioManager.playErrorSound();
-      window.audioManager.announceGameEvent("cardMismatch");
+      window.audioManager.announceGameEvent("cardMismatch", {
+        player: nextPlayer,
+      });
     }
 
     if (window.accessibilityManager) {
       window.accessibilityManager.announce(
-        "Not a match. Cards will flip back."
+        nextPlayer
+          ? `Not a match. Cards will flip back. ${nextPlayer}'s turn.`
+          : "Not a match. Cards will flip back."
       );
     }
   }
@@ -444,14 +1422,20 @@ class MatchingGame {
   calculateMatchScore() {
     let baseScore = 100;
 
-    const difficultyMultipliers = {
-      easy: 1.0,
-      medium: 1.5,
-      hard: 2.0,
-      expert: 2.5,
+    // Keyed by grid size so adaptive games score like the fixed difficulty
+    // with the same board
+    const gridMultipliers = {
+      3: 1.0,
+      4: 1.5,
+      5: 2.0,
+      6: 2.5,
     };
 
-    baseScore *= difficultyMultipliers[this.difficulty] || 1.0;
+    baseScore *= gridMultipliers[this.gridSize] || 1.0;
+
+    // Finding three or four of a kind is worth more than a pair
+    const setSizeMultipliers = { 2: 1.0, 3: 1.5, 4: 2.0 };
+    baseScore *= setSizeMultipliers[this.setSize] || 1.0;
 
     const efficiency = this.totalPairs / this.moves;
     if (efficiency > 0.8) baseScore *= 1.5;
@@ -465,15 +1449,33 @@ class MatchingGame {
   }
 
   handleGameComplete() {
+    // The countdown can run out while the last match is settling
+    if (!this.isPlaying) return;
+
+    this.stopTimers();
     this.isPlaying = false;
     this.endTime = Date.now();
-    const totalTime = this.endTime - this.startTime;
+    // Time attack counts only the seconds the countdown was running
+    const totalTime =
+      this.mode === "time-attack"
+        ? (this.timeLimit - this.timeRemaining) * 1000
+        : this.endTime - this.startTime;
+    this.efficiency = this.analyzeMemoryEfficiency();
+
+    if (this.isMultiplayer()) {
+      this.handleMultiplayerComplete();
+      return;
+    }
 
-    const timeBonus = this.calculateTimeBonus(totalTime);
+    const timeBonus =
+      this.mode === "time-attack"
+        ? this.timeRemaining * 10
+        : this.calculateTimeBonus(totalTime);
     const moveBonus = this.calculateMoveBonus();
     this.score += timeBonus + moveBonus;
 
-    const isPerfect = this.moves === this.totalPairs;
+    // Every move found a set, whatever the set size, without help
+    const isPerfect = this.mismatches === 0 && this.hintsUsed.length === 0;
 
     if (window.storageManager && this.gameSession) {
       window.storageManager.recordGameEnd("matching", {
@@ -482,11 +1484,16 @@ class MatchingGame {
         completed: true,
         time: totalTime,
         perfect: isPerfect,
+        seed: this.random.seed,
+        ...this.getSessionDetails(),
+        events: this.getEventTrace(),
       });
     }
 
     const timeText = this.formatTime(totalTime);
-    let message = `Congratulations! All pairs matched in ${this.moves} moves and ${timeText}!`;
+    let message = `Congratulations! All ${this.getSetNoun(true)} matched in ${
+      this.moves
+    } moves and ${timeText}!`;
 
     if (isPerfect) {
       message = `Perfect game! ${message} Amazing memory!`;
@@ -511,6 +1518,151 @@ class MatchingGame {
     }, 3000);
   }
 
+  // Two-player games have no time or move bonuses; the players'
+  // match scores decide the winner
+  handleMultiplayerComplete() {
+    this.recordPlayerSessions(true);
+    this.updateScoreboard();
+
+    const message = `All ${this.getSetNoun(
+      true
+    )} matched! ${this.describeResults()}`;
+    this.showFeedback(message, "complete");
+
+    if (window.audioManager) {
+      window.audioManager.playCompleteSound();
+      window.audioManager.speak(message);
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(message);
+    }
+
+    setTimeout(() => {
+      this.showRestartOption();
+    }, 3000);
+  }
+
+  // Replays the event trace to tell memory errors apart from exploration.
+  // A card counts as known once it has been face up, or shown by a hint
+  // or the memorize-first preview.
+  analyzeMemoryEfficiency() {
+    const seen = new Set();
+    const flipCounts = {};
+    let move = [];
+    const result = {
+      missedKnownMatches: 0,
+      explorationMismatches: 0,
+      knownMatches: 0,
+      luckyMatches: 0,
+      reflips: 0,
+      mostReflips: 0,
+    };
+
+    const isKnown = (position) => seen.has(position);
+    const partnersOf = (position) =>
+      this.cards
+        .map((card, index) => index)
+        .filter(
+          (index) =>
+            index !== position &&
+            this.cards[index].pairId === this.cards[position].pairId
+        );
+
+    this.events.forEach((event) => {
+      if (
+        event.type === "preview" ||
+        (event.type === "hint" && event.hintType !== "region")
+      ) {
+        event.positions.forEach((position) => seen.add(position));
+      } else if (event.type === "flip") {
+        // Only the player's own earlier flips make this a re-flip
+        if (flipCounts[event.position]) {
+          result.reflips++;
+        }
+        flipCounts[event.position] = (flipCounts[event.position] || 0) + 1;
+        move.push(event.position);
+      } else if (event.type === "match" || event.type === "mismatch") {
+        // Whether the rest of the first card's set had already been seen
+        const partnersKnown = partnersOf(move[0]).every(isKnown);
+
+        if (event.type === "match") {
+          if (move.every((position) => !isKnown(position))) {
+            result.luckyMatches++;
+          } else if (partnersKnown) {
+            result.knownMatches++;
+          }
+        } else if (partnersKnown) {
+          result.missedKnownMatches++;
+        } else {
+          result.explorationMismatches++;
+        }
+
+        move.forEach((position) => seen.add(position));
+        move = [];
+      }
+    });
+
+    result.mostReflips = Math.max(
+      0,
+      ...Object.values(flipCounts).map((count) => count - 1)
+    );
+    return result;
+  }
+
+  showEfficiencySummary() {
+    const summary = this.elements.efficiencySummary;
+    if (!summary) return;
+
+    if (!this.efficiency) {
+      summary.hidden = true;
+      return;
+    }
+
+    const e = this.efficiency;
+    const rows = [
+      [
+        "Missed known matches",
+        e.missedKnownMatches,
+        "The partner had been seen before, but a different card was chosen",
+      ],
+      [
+        "Exploring mismatches",
+        e.explorationMismatches,
+        "Mismatches while the partner had not been seen yet",
+      ],
+      [
+        "Remembered matches",
+        e.knownMatches,
+        "Matches made by going back to a card seen earlier",
+      ],
+      [
+        "Lucky first-sight matches",
+        e.luckyMatches,
+        "Matches where every card was turned over for the first time",
+      ],
+      [
+        "Re-flips of seen cards",
+        e.reflips,
+        `The most any one card was turned again: ${e.mostReflips}`,
+      ],
+    ];
+
+    summary.innerHTML = `
+            <h3>How this game went</h3>
+            <dl>
+                ${rows
+                  .map(
+                    ([label, value, help]) => `
+                    <dt>${label}</dt>
+                    <dd><strong>${value}</strong> <span>${help}</span></dd>`
+                  )
+                  .join("")}
+            </dl>
+        `;
+    summary.hidden = false;
+  }
+
   calculateTimeBonus(totalTime) {
     const seconds = totalTime / 1000;
     const targetTime = this.totalPairs * 5;
@@ -548,6 +1700,12 @@ class MatchingGame {
       this.elements.startBtn.focus();
     }
     this.elements.board.hidden = true;
+    if (this.elements.seedDisplay && this.random) {
+      this.elements.seedDisplay.textContent = `Game seed: ${this.random.seed}`;
+      this.elements.seedDisplay.hidden = false;
+    }
+    this.showEfficiencySummary();
+    this.renderLeaderboard();
   }
 
   showFeedback(message, type) {
@@ -577,6 +1735,15 @@ class MatchingGame {
       this.elements.totalPairs.textContent = this.totalPairs;
     }
 
+    if (this.elements.setNoun) {
+      const noun = this.getSetNoun(true);
+      this.elements.setNoun.textContent =
+        noun.charAt(0).toUpperCase() + noun.slice(1);
+    }
+
+    this.updateHintDisplay();
+    this.updateTimerDisplay();
+
     // Update score display if available
     const scoreDisplay = document.getElementById("current-score");
     if (scoreDisplay) {
@@ -605,50 +1772,315 @@ class MatchingGame {
     };
   }
 
-  provideHint() {
-    if (!this.isPlaying || this.flippedCards.length > 0) return;
+  getSessionDetails() {
+    return {
+      gridSize: this.gridSize,
+      pairs: this.totalPairs,
+      theme: this.getActiveTheme(),
+      pairType: this.isConceptGame() ? "concept" : "identical",
+      setSize: this.setSize,
+      hints: {
+        used: this.hintsUsed.length,
+        budget: this.getHintBudget(),
+        types: [...this.hintsUsed],
+        penalty: this.hintPenalty,
+      },
+      efficiency: this.efficiency || undefined,
+      mode: this.mode,
+      previewSeconds:
+        this.mode === "memorize" ? this.previewSeconds : undefined,
+      timeLimit: this.mode === "time-attack" ? this.timeLimit : undefined,
+      timeRemaining:
+        this.mode === "time-attack" ? this.timeRemaining : undefined,
+      adaptation:
+        this.difficulty === "adaptive" && this.adaptation
+          ? { mode: this.adaptation.mode, reason: this.adaptation.reason }
+          : undefined,
+    };
+  }
+
+  recordEvent(type, details = {}) {
+    if (!this.startTime) return;
+
+    this.events.push({
+      type,
+      time: Date.now() - this.startTime,
+      ...details,
+    });
+  }
+
+  // Event times are milliseconds from the start of the game
+  getEventTrace() {
+    return this.events.map((event) => ({ ...event }));
+  }
+
+  // Spends one hint from the game's budget. Peeking shows a whole set for
+  // a moment, a region narrows down where one set lies, and a partner hint
+  // points at the cards that go with the one already face up.
+  provideHint(type = this.hintType) {
+    if (!this.isPlaying || this.isResolving || this.isPaused) return;
+
+    if (this.hintsRemaining <= 0) {
+      this.announceHint("No hints left in this game.");
+      return;
+    }
+
+    const sets = this.getHintableSets();
+    let hint = null;
 
-    const unmatchedCards = this.cards.filter(
-      (card) => !card.matched && !card.flipped
+    if (type === "partner") {
+      hint = this.getPartnerHint(sets);
+    } else if (this.flippedCards.length > 0) {
+      hint = { error: "Finish your current move first." };
+    } else if (type === "region") {
+      hint = this.getRegionHint(sets);
+    } else {
+      hint = this.getPeekHint(sets);
+    }
+
+    if (!hint || hint.error) {
+      this.announceHint(hint?.error || "No hints available right now.");
+      return;
+    }
+
+    // Hidden sound faces only show 🔊, so a peek plays the cards instead
+    const hiddenSounds =
+      hint.type === "peek"
+        ? hint.positions
+            .map((index) => this.cards[index])
+            .filter((card) => this.isFaceHidden(card))
+        : [];
+    const peekSounds = hiddenSounds.length > 0;
+    if (
+      hiddenSounds.some(
+        (card) => !window.audioManager?.canPlayCardSounds(card.sound.type)
+      )
+    ) {
+      this.announceHint(
+        "Peeking at sound cards needs sound. Turn on audio or try another hint."
+      );
+      return;
+    }
+
+    this.hintsRemaining--;
+    this.hintsUsed.push(type);
+    this.hintPenalty += this.hintPenalties[type];
+    this.score = Math.max(0, this.score - this.hintPenalties[type]);
+    const player = this.getCurrentPlayer();
+    if (player) {
+      player.score = Math.max(0, player.score - this.hintPenalties[type]);
+      this.updateScoreboard();
+    }
+
+    this.recordEvent("hint", { hintType: type, positions: hint.positions });
+    this.updateDisplay();
+
+    const announced = this.announceHint(
+      `${hint.message} ${this.hintPenalties[type]} points used. ${
+        this.hintsRemaining
+      } ${this.hintsRemaining === 1 ? "hint" : "hints"} left.`
     );
-    const symbols = {};
+    if (peekSounds) {
+      hint.until = announced.then(() => this.playPeekSounds(hint.positions));
+    }
+    this.showHint(hint);
+  }
+
+  // Plays each peeked card in turn, with a pause so they don't overlap
+  async playPeekSounds(positions) {
+    for (const index of positions) {
+      await window.audioManager
+        .playCardSound(this.cards[index].sound)
+        .catch(() => {});
+      await new Promise((resolve) => setTimeout(resolve, 900));
+    }
+  }
 
-    unmatchedCards.forEach((card, index) => {
-      if (!symbols[card.symbol]) {
-        symbols[card.symbol] = [];
+  // Board positions of every set still face down, grouped by pairId
+  getHintableSets() {
+    const sets = {};
+
+    this.cards.forEach((card, index) => {
+      if (card.matched) return;
+      if (!sets[card.pairId]) {
+        sets[card.pairId] = [];
       }
-      symbols[card.symbol].push({ card, index });
+      sets[card.pairId].push(index);
     });
 
-    for (const symbol in symbols) {
-      if (symbols[symbol].length >= 2) {
-        const pair = symbols[symbol].slice(0, 2);
-        const positions = pair.map((p) => p.index + 1);
-
-        if (window.accessibilityManager) {
-          window.accessibilityManager.announce(
-            `Hint: There are matching ${symbol} cards at positions ${positions.join(
-              " and "
-            )}.`
-          );
-        }
+    return Object.values(sets).filter((positions) =>
+      positions.every((index) => !this.cards[index].flipped)
+    );
+  }
 
-        if (window.audioManager) {
-          window.audioManager.speak(
-            `Hint: Look for ${symbol} at positions ${positions.join(" and ")}.`
-          );
-        }
+  getPeekHint(sets) {
+    if (sets.length === 0) return null;
+
+    const positions = this.random.pick(sets);
+    return {
+      type: "peek",
+      positions,
+      className: "peek",
+      duration: 1500,
+      message: `Peek: a matching ${this.getSetNoun()} is at positions ${this.formatPositions(
+        positions
+      )}.`,
+    };
+  }
+
+  getRegionHint(sets) {
+    if (sets.length === 0) return null;
+
+    const positions = this.random.pick(sets);
+    const rows = positions.map((index) => Math.floor(index / this.gridSize));
+    const columns = positions.map((index) => index % this.gridSize);
+    const top = Math.min(...rows);
+    const bottom = Math.max(...rows);
+    const left = Math.min(...columns);
+    const right = Math.max(...columns);
+
+    const region = [];
+    this.cards.forEach((card, index) => {
+      const row = Math.floor(index / this.gridSize);
+      const column = index % this.gridSize;
+      if (
+        !card.matched &&
+        row >= top &&
+        row <= bottom &&
+        column >= left &&
+        column <= right
+      ) {
+        region.push(index);
+      }
+    });
+
+    return {
+      type: "region",
+      positions: region,
+      className: "hint-region",
+      duration: 3000,
+      message: `A matching ${this.getSetNoun()} is within ${this.formatRange(
+        "row",
+        top,
+        bottom
+      )} and ${this.formatRange("column", left, right)}.`,
+    };
+  }
+
+  getPartnerHint() {
+    const first = this.flippedCards[0];
+    if (!first) {
+      return { error: "Flip a card first, then ask for its partner." };
+    }
+
+    const shown = this.flippedCards.map((f) => f.index);
+    const positions = [];
+    this.cards.forEach((card, index) => {
+      if (
+        card.pairId === first.card.pairId &&
+        !card.matched &&
+        !shown.includes(index)
+      ) {
+        positions.push(index);
+      }
+    });
+    if (positions.length === 0) return null;
+
+    return {
+      type: "partner",
+      positions,
+      className: "hint-partner",
+      duration: 3000,
+      message: `The card at position ${first.index + 1} goes with ${
+        positions.length === 1 ? "position" : "positions"
+      } ${this.formatPositions(positions)}.`,
+    };
+  }
+
+  // Peeking turns the cards face up for a moment and holds the board
+  // until they turn back; a peek at sound cards lasts until they have
+  // been played
+  showHint(hint) {
+    const elements = this.elements.cardGrid
+      ? [...this.elements.cardGrid.querySelectorAll(".card")]
+      : [];
+    const highlighted = hint.positions
+      .map((index) => elements[index])
+      .filter(Boolean);
+
+    if (hint.type === "peek") {
+      this.isResolving = true;
+    }
+    highlighted.forEach((element) => element.classList.add(hint.className));
 
-        return;
+    const end = () => {
+      highlighted.forEach((element) =>
+        element.classList.remove(hint.className)
+      );
+      if (hint.type === "peek") {
+        this.isResolving = false;
       }
+    };
+
+    if (hint.until) {
+      hint.until.then(end, end);
+    } else {
+      setTimeout(end, hint.duration);
     }
+  }
+
+  // Resolves once the message has been spoken
+  announceHint(message) {
+    this.showFeedback(message, "hint");
 
     if (window.accessibilityManager) {
-      window.accessibilityManager.announce("No hints available right now.");
+      window.accessibilityManager.announce(message);
+    }
+
+    if (window.audioManager) {
+      return window.audioManager.speak(message).catch(() => {});
+    }
+    return Promise.resolve();
+  }
+
+  formatPositions(positions) {
+    const numbers = positions.map((index) => index + 1);
+    return numbers.length > 1
+      ? `${numbers.slice(0, -1).join(", ")} and ${numbers[numbers.length - 1]}`
+      : String(numbers[0]);
+  }
+
+  formatRange(name, from, to) {
+    return from === to
+      ? `${name} ${from + 1}`
+      : `${name}s ${from + 1} to ${to + 1}`;
+  }
+
+  getHintBudget() {
+    return this.hintBudgets[this.gridSize] || 3;
+  }
+
+  setHintType(type) {
+    if (!this.hintPenalties[type]) return;
+
+    this.hintType = type;
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference("matching-hint-type", type);
+    }
+  }
+
+  updateHintDisplay() {
+    if (this.elements.hintsRemaining) {
+      this.elements.hintsRemaining.textContent = `${this.hintsRemaining} left`;
+    }
+    if (this.elements.hintBtn) {
+      this.elements.hintBtn.disabled = this.hintsRemaining <= 0;
     }
   }
 }
 
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  await window.storageManager.ready;
   window.matchingGame = new MatchingGame();
 });
@@ -0,0 +1,661 @@
+// MemoryPal - Pattern Memory Game
+class PatternGame {
+  constructor() {
+    this.pattern = [];
+    this.playerPattern = [];
+    this.level = 1;
+    this.score = 0;
+    this.moves = 0;
+    this.correctMoves = 0;
+    this.levelStart = { score: 0, moves: 0, correctMoves: 0 };
+    this.isPlaying = false;
+    this.isShowingPattern = false;
+    this.isPlayerTurn = false;
+    this.isPaused = false;
+    this.gameSession = null;
+    this.random = null;
+    this.previewId = 0;
+
+    this.gridSize = 4;
+    this.maxGridSize = 6;
+    this.difficulty = "medium";
+    this.speed = 3; // 1-5 scale
+
+    this.elements = {
+      gameArea: document.getElementById("patterns-game"),
+      board: document.getElementById("patterns-board"),
+      startBtn: document.getElementById("start-patterns"),
+      seedDisplay: document.getElementById("patterns-seed"),
+      replayBtn: document.getElementById("replay-pattern"),
+      pauseBtn: document.getElementById("pause-patterns"),
+      grid: document.getElementById("pattern-grid"),
+      feedback: document.getElementById("patterns-feedback"),
+      tilesLeft: document.getElementById("pattern-tiles-left"),
+      levelDisplay: document.getElementById("current-level"),
+      scoreDisplay: document.getElementById("current-score"),
+      progressBar: document.querySelector(".progress-bar"),
+      progressFill: document.querySelector(".progress-fill"),
+      encouragement: document.getElementById("encouragement-text"),
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.setupAccessibility();
+    this.loadSettings();
+  }
+
+  setupEventListeners() {
+    if (this.elements.startBtn) {
+      this.elements.startBtn.addEventListener("click", () => this.startGame());
+    }
+
+    if (this.elements.replayBtn) {
+      this.elements.replayBtn.addEventListener("click", () =>
+        this.replayPattern()
+      );
+    }
+
+    if (this.elements.pauseBtn) {
+      this.elements.pauseBtn.addEventListener("click", () =>
+        this.togglePause()
+      );
+    }
+
+    // Game settings
+    const difficultySelect = document.getElementById("difficulty");
+    if (difficultySelect) {
+      difficultySelect.addEventListener("change", (e) => {
+        this.difficulty = e.target.value;
+        this.updateDifficulty();
+      });
+    }
+
+    const speedSlider = document.getElementById("game-speed");
+    if (speedSlider) {
+      speedSlider.addEventListener("input", (e) => {
+        this.speed = parseInt(e.target.value);
+      });
+    }
+  }
+
+  setupAccessibility() {
+    if (this.elements.feedback) {
+      this.elements.feedback.setAttribute("aria-live", "assertive");
+      this.elements.feedback.setAttribute("aria-atomic", "true");
+    }
+
+    if (this.elements.grid) {
+      this.elements.grid.setAttribute("role", "grid");
+      this.elements.grid.setAttribute("aria-label", "Pattern tile grid");
+    }
+  }
+
+  loadSettings() {
+    if (window.storageManager) {
+      this.difficulty = window.storageManager.getUserPreference(
+        "patterns-difficulty",
+        "medium"
+      );
+      this.speed = window.storageManager.getUserPreference("sequence-speed", 3);
+    }
+
+    this.updateDifficulty();
+  }
+
+  updateDifficulty() {
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference(
+        "patterns-difficulty",
+        this.difficulty
+      );
+    }
+  }
+
+  getBaseGridSize() {
+    const sizes = {
+      easy: 3,
+      medium: 4,
+      hard: 5,
+      adaptive: 4,
+    };
+
+    return sizes[this.difficulty] || sizes.medium;
+  }
+
+  calculateGridSize() {
+    // Grow the grid by one row and column every four levels
+    const growth = Math.floor((this.level - 1) / 4);
+    return Math.min(this.getBaseGridSize() + growth, this.maxGridSize);
+  }
+
+  calculateTileCount() {
+    // Never light more than 60% of the grid so the pattern stays readable
+    const maxTiles = Math.floor(this.gridSize * this.gridSize * 0.6);
+    return Math.min(this.level + 2, maxTiles);
+  }
+
+  startGame() {
+    this.resetGame();
+    this.random = window.randomManager.startGame();
+    this.isPlaying = true;
+    this.gameSession = window.storageManager?.recordGameStart("patterns");
+
+    const instructions =
+      this.elements.gameArea.querySelector(".game-instructions");
+    if (instructions) {
+      instructions.style.display = "none";
+    }
+    this.elements.board.hidden = false;
+
+    this.updateDisplay();
+    this.updateEncouragement("Let's start with level 1. Watch the tiles!");
+
+    this.nextLevel();
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("game-start");
+    }
+
+    if (window.audioManager) {
+      window.audioManager.announceGameEvent("gameStart");
+      window.audioManager.announceInstructions("patterns");
+    }
+  }
+
+  resetGame() {
+    this.pattern = [];
+    this.playerPattern = [];
+    this.level = 1;
+    this.score = 0;
+    this.moves = 0;
+    this.correctMoves = 0;
+    this.isPlaying = false;
+    this.isShowingPattern = false;
+    this.isPlayerTurn = false;
+    this.isPaused = false;
+
+    this.clearFeedback();
+    this.updateDisplay();
+  }
+
+  nextLevel() {
+    this.playerPattern = [];
+    this.levelStart = {
+      score: this.score,
+      moves: this.moves,
+      correctMoves: this.correctMoves,
+    };
+    this.gridSize = this.calculateGridSize();
+    this.buildGrid();
+    this.generatePattern();
+    this.showPattern();
+  }
+
+  buildGrid() {
+    if (!this.elements.grid) return;
+
+    this.elements.grid.innerHTML = "";
+    this.elements.grid.style.gridTemplateColumns = `repeat(${this.gridSize}, 1fr)`;
+
+    const totalCells = this.gridSize * this.gridSize;
+
+    for (let index = 0; index < totalCells; index++) {
+      const row = Math.floor(index / this.gridSize) + 1;
+      const column = (index % this.gridSize) + 1;
+
+      const cell = document.createElement("button");
+      cell.className = "pattern-cell";
+      cell.dataset.index = index;
+      cell.setAttribute("role", "gridcell");
+      cell.setAttribute("aria-label", `Row ${row}, column ${column}`);
+      cell.setAttribute("aria-pressed", "false");
+      cell.disabled = true;
+      cell.setAttribute("tabindex", "-1");
+
+      cell.addEventListener("click", () => this.handleCellClick(index, cell));
+      cell.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          this.handleCellClick(index, cell);
+        }
+      });
+
+      this.elements.grid.appendChild(cell);
+    }
+  }
+
+  generatePattern() {
+    const totalCells = this.gridSize * this.gridSize;
+    const tileCount = this.calculateTileCount();
+    const available = this.random.shuffle(
+      Array.from({ length: totalCells }, (_, i) => i)
+    );
+
+    this.pattern = available.slice(0, tileCount).sort((a, b) => a - b);
+  }
+
+  getCell(index) {
+    return this.elements.grid?.querySelector(`[data-index="${index}"]`);
+  }
+
+  describeCell(index) {
+    const row = Math.floor(index / this.gridSize) + 1;
+    const column = (index % this.gridSize) + 1;
+    return `row ${row} column ${column}`;
+  }
+
+  getDisplayDuration() {
+    const baseDuration = 1000 + this.pattern.length * 400;
+    const speedMultiplier = [1.5, 1.25, 1.0, 0.8, 0.6][this.speed - 1] || 1.0;
+    return baseDuration * speedMultiplier;
+  }
+
+  async showPattern() {
+    // Each preview gets an id so a restarted preview cancels the old one
+    const previewId = ++this.previewId;
+    this.isShowingPattern = true;
+    this.isPlayerTurn = false;
+    this.disableCells();
+    this.updateTilesLeft();
+
+    this.showFeedback("Watch the pattern...", "info");
+    this.updateEncouragement(
+      `Level ${this.level}: Remember these ${this.pattern.length} tiles.`
+    );
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState(
+        "pattern-show",
+        this.pattern.length
+      );
+      window.accessibilityManager.announce(
+        `Lit tiles: ${this.pattern
+          .map((index) => this.describeCell(index))
+          .join(", ")}`,
+        "polite"
+      );
+    }
+
+    if (window.audioManager) {
+      window.audioManager.announceGameEvent("patternShow", {
+        count: this.pattern.length,
+      });
+    }
+
+    // Short pause so the player can settle before the tiles light up
+    await this.delay(600);
+    if (!this.isPlaying || this.isPaused || previewId !== this.previewId)
+      return;
+
+    this.pattern.forEach((index) => {
+      const cell = this.getCell(index);
+      if (cell) {
+        cell.classList.add("lit");
+      }
+    });
+
+    if (window.audioManager) {
+      window.audioManager.playPatternSound(this.pattern.length);
+    }
+
+    await this.delay(this.getDisplayDuration());
+    if (previewId !== this.previewId) return;
+
+    this.pattern.forEach((index) => {
+      const cell = this.getCell(index);
+      if (cell) {
+        cell.classList.remove("lit");
+      }
+    });
+
+    if (this.isPlaying && !this.isPaused) {
+      this.startPlayerTurn();
+    }
+  }
+
+  startPlayerTurn() {
+    this.isShowingPattern = false;
+    this.isPlayerTurn = true;
+    this.enableCells();
+
+    this.showFeedback("Your turn! Select the tiles that lit up.", "info");
+    this.updateEncouragement("Recreate the pattern in any order.");
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("pattern-input");
+    }
+
+    if (window.audioManager) {
+      window.audioManager.announceGameEvent("patternInput");
+    }
+
+    if (
+      window.accessibilityManager &&
+      window.accessibilityManager.keyboardNavActive
+    ) {
+      this.getCell(0)?.focus();
+    }
+  }
+
+  handleCellClick(index, cell) {
+    if (!this.isPlayerTurn || this.isPaused) return;
+    if (this.playerPattern.includes(index)) return;
+
+    this.moves++;
+    this.playerPattern.push(index);
+
+    if (this.pattern.includes(index)) {
+      this.handleCorrectCell(index, cell);
+
+      if (this.playerPattern.length === this.pattern.length) {
+        this.handlePatternComplete();
+      }
+    } else {
+      this.handleIncorrectCell(index, cell);
+    }
+  }
+
+  handleCorrectCell(index, cell) {
+    this.correctMoves++;
+    cell.classList.add("selected", "correct");
+    cell.setAttribute("aria-pressed", "true");
+    cell.setAttribute(
+      "aria-label",
+      `Row ${Math.floor(index / this.gridSize) + 1}, column ${
+        (index % this.gridSize) + 1
+      }, selected`
+    );
+    setTimeout(() => cell.classList.remove("correct"), 500);
+
+    this.score += 5 * this.level;
+    this.updateDisplay();
+    this.updateTilesLeft();
+
+    if (window.audioManager) {
+      window.audioManager.playPatternSound(this.playerPattern.length);
+    }
+
+    if (window.accessibilityManager) {
+      const remaining = this.pattern.length - this.playerPattern.length;
+      window.accessibilityManager.announce(
+        `Correct. ${remaining} tiles left.`,
+        "polite"
+      );
+    }
+  }
+
+  handleIncorrectCell(index, cell) {
+    this.isPlayerTurn = false;
+    this.disableCells();
+
+    cell.classList.add("incorrect");
+
+    // Reveal the tiles the player missed
+    this.pattern
+      .filter((patternIndex) => !this.playerPattern.includes(patternIndex))
+      .forEach((patternIndex) => {
+        this.getCell(patternIndex)?.classList.add("missed");
+      });
+
+    this.showFeedback(
+      `Not quite! ${this.describeCell(index)} was not part of the pattern.`,
+      "error"
+    );
+
+    if (window.audioManager) {
+      window.audioManager.playErrorSound();
+      window.audioManager.announceGameEvent("patternMiss");
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState(
+        "incorrect",
+        this.describeCell(index)
+      );
+    }
+
+    setTimeout(() => this.endGame(), 2000);
+  }
+
+  handlePatternComplete() {
+    this.isPlayerTurn = false;
+    this.disableCells();
+
+    const levelBonus = this.level * 25;
+    this.score += levelBonus;
+
+    this.showFeedback(`Perfect! Level ${this.level} complete!`, "success");
+    this.updateEncouragement(
+      `Sharp eyes! You scored ${levelBonus} bonus points.`
+    );
+
+    if (window.audioManager) {
+      window.audioManager.playCompleteSound();
+      window.audioManager.announceGameEvent("levelComplete", {
+        level: this.level,
+        score: this.score,
+      });
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("level-up", this.level + 1);
+    }
+
+    this.updateProgress();
+
+    setTimeout(() => {
+      if (!this.isPlaying) return;
+      this.level++;
+      this.updateDisplay();
+      this.nextLevel();
+    }, 2000);
+  }
+
+  endGame() {
+    this.isPlaying = false;
+    this.isPlayerTurn = false;
+    this.disableCells();
+
+    if (window.storageManager && this.gameSession) {
+      window.storageManager.recordGameEnd("patterns", {
+        score: this.score,
+        level: this.level,
+        moves: this.moves,
+        correct: this.correctMoves,
+        seed: this.random.seed,
+        completed: false,
+      });
+    }
+
+    this.showFeedback(`Game Over! Final Score: ${this.score}`, "error");
+    this.updateEncouragement("Good effort! Want to try again?");
+
+    if (window.audioManager) {
+      window.audioManager.announceGameEvent("gameOver", { score: this.score });
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("game-over", this.score);
+    }
+
+    setTimeout(() => {
+      this.showRestartOption();
+    }, 2000);
+  }
+
+  showRestartOption() {
+    const instructions =
+      this.elements.gameArea.querySelector(".game-instructions");
+    if (instructions) {
+      instructions.style.display = "block";
+      this.elements.startBtn.textContent = "Play Again";
+      this.elements.startBtn.focus();
+    }
+    this.elements.board.hidden = true;
+    if (this.elements.seedDisplay && this.random) {
+      this.elements.seedDisplay.textContent = `Game seed: ${this.random.seed}`;
+      this.elements.seedDisplay.hidden = false;
+    }
+  }
+
+  replayPattern() {
+    if (!this.isPlaying || this.isShowingPattern || this.pattern.length === 0)
+      return;
+
+    // Tiles picked before the replay don't count twice
+    this.playerPattern = [];
+    this.score = this.levelStart.score;
+    this.moves = this.levelStart.moves;
+    this.correctMoves = this.levelStart.correctMoves;
+    this.updateDisplay();
+    this.buildGrid();
+    this.showPattern();
+
+    if (window.audioManager) {
+      window.audioManager.playButtonSound();
+    }
+  }
+
+  togglePause() {
+    if (!this.isPlaying) return;
+
+    this.isPaused = !this.isPaused;
+
+    if (this.isPaused) {
+      this.disableCells();
+      this.showFeedback("Game Paused", "info");
+      this.elements.pauseBtn.innerHTML =
+        '<span class="button-icon" aria-hidden="true">▶️</span>Resume';
+
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announceGameState("pause");
+      }
+    } else {
+      if (this.isPlayerTurn) {
+        this.enableCells();
+        this.clearFeedback();
+      } else {
+        // Pausing interrupts the preview, so show the pattern again
+        this.replayPatternAfterPause();
+      }
+      this.elements.pauseBtn.innerHTML =
+        '<span class="button-icon" aria-hidden="true">⏸️</span>Pause';
+
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announceGameState("resume");
+      }
+    }
+
+    if (window.audioManager) {
+      window.audioManager.playButtonSound();
+    }
+  }
+
+  replayPatternAfterPause() {
+    this.playerPattern = [];
+    this.buildGrid();
+    this.showPattern();
+  }
+
+  enableCells() {
+    this.elements.grid?.querySelectorAll(".pattern-cell").forEach((cell) => {
+      cell.disabled = false;
+      cell.setAttribute("tabindex", "0");
+    });
+  }
+
+  disableCells() {
+    this.elements.grid?.querySelectorAll(".pattern-cell").forEach((cell) => {
+      cell.disabled = true;
+      cell.setAttribute("tabindex", "-1");
+    });
+  }
+
+  updateTilesLeft() {
+    if (this.elements.tilesLeft) {
+      this.elements.tilesLeft.textContent =
+        this.pattern.length - this.playerPattern.length;
+    }
+  }
+
+  showFeedback(message, type) {
+    if (this.elements.feedback) {
+      this.elements.feedback.textContent = message;
+      this.elements.feedback.className = `patterns-feedback ${type}`;
+    }
+  }
+
+  clearFeedback() {
+    if (this.elements.feedback) {
+      this.elements.feedback.textContent = "";
+      this.elements.feedback.className = "patterns-feedback";
+    }
+  }
+
+  updateDisplay() {
+    if (this.elements.levelDisplay) {
+      this.elements.levelDisplay.textContent = this.level;
+    }
+
+    if (this.elements.scoreDisplay) {
+      this.elements.scoreDisplay.textContent = this.score;
+    }
+  }
+
+  updateProgress() {
+    const maxLevel = 20;
+    const progress = Math.min((this.level / maxLevel) * 100, 100);
+
+    if (this.elements.progressFill) {
+      this.elements.progressFill.style.width = `${progress}%`;
+    }
+
+    if (this.elements.progressBar) {
+      this.elements.progressBar.setAttribute(
+        "aria-valuenow",
+        Math.round(progress)
+      );
+    }
+  }
+
+  updateEncouragement(message) {
+    if (this.elements.encouragement) {
+      this.elements.encouragement.textContent = message;
+    }
+  }
+
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Public API for external control
+  setDifficulty(difficulty) {
+    this.difficulty = difficulty;
+    this.updateDifficulty();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  getCurrentStats() {
+    return {
+      level: this.level,
+      score: this.score,
+      gridSize: this.gridSize,
+      pattern: this.pattern.slice(),
+      moves: this.moves,
+      correctMoves: this.correctMoves,
+      isPlaying: this.isPlaying,
+    };
+  }
+}
+
+// Initialize pattern game when DOM is ready
+document.addEventListener("DOMContentLoaded", async () => {
+  await window.storageManager.ready;
+  window.patternGame = new PatternGame();
+});
@@ -10,8 +10,126 @@ class SequenceGame {
     this.isPlayerTurn = false;
     this.isPaused = false;
     this.gameSession = null;
+    this.random = null;
+
+    // Per-game performance used by adaptive mode
+    this.presses = 0;
+    this.errors = 0;
+    this.responseTimes = [];
+    this.lastPromptTime = null;
+
+    // Per-input event trace for the current game (see getEventTrace)
+    this.events = [];
+    this.traceStart = null;
+
+    this.adaptiveThresholds = {
+      highErrorRate: 0.5,
+      lowErrorRate: 0.2,
+      slowResponse: 1500, // ms between presses
+      fastResponse: 800,
+    };
+    this.adaptation = this.getDefaultAdaptation();
+
+    // Every pad has a distinct color, shape and note so it can be told
+    // apart by sight, by pattern (colorblind support) or by ear
+    this.padDefinitions = [
+      { color: "red", label: "Red", pattern: "●", note: "C4" },
+      { color: "blue", label: "Blue", pattern: "■", note: "D4" },
+      { color: "green", label: "Green", pattern: "▲", note: "E4" },
+      { color: "yellow", label: "Yellow", pattern: "♦", note: "F4" },
+      { color: "purple", label: "Purple", pattern: "★", note: "G4" },
+      { color: "orange", label: "Orange", pattern: "✚", note: "A4" },
+      { color: "pink", label: "Pink", pattern: "♥", note: "B4" },
+      { color: "teal", label: "Teal", pattern: "◆", note: "C5" },
+      { color: "gray", label: "Gray", pattern: "✱", note: "D5" },
+    ];
+    this.padCounts = [4, 6, 8, 9];
+    this.padColumns = { 4: 2, 6: 3, 8: 4, 9: 3 };
+    this.padCount = 4;
+    this.pads = [];
+    this.colors = [];
+
+    // Which part of the shown sequence the player must repeat, and how
+    this.recallRules = {
+      forward: {
+        label: "Forward",
+        description: "Repeat the whole sequence in the order it was shown.",
+        prompt: "Your turn! Click the colors in order.",
+        inputState: "sequence-input",
+        inputEvent: "sequenceInput",
+      },
+      backward: {
+        label: "Backward",
+        description:
+          "Repeat the whole sequence in reverse, starting with the last color.",
+        prompt: "Your turn! Click the colors in reverse order.",
+        inputState: "sequence-input-backward",
+        inputEvent: "sequenceInputBackward",
+      },
+      "every-other": {
+        label: "Every other",
+        description:
+          "Repeat only the 1st, 3rd, 5th... colors, skipping the ones between.",
+        prompt: "Your turn! Click every other color, starting with the first.",
+        inputState: "sequence-input-every-other",
+        inputEvent: "sequenceInputEveryOther",
+      },
+      "last-n": {
+        label: "Only the last colors",
+        description:
+          "Repeat only the last few colors of the sequence, in order.",
+        prompt: "Your turn! Click only the last colors, in order.",
+        inputState: "sequence-input-last-n",
+        inputEvent: "sequenceInputLastN",
+      },
+    };
+    this.recallRule = "forward";
+    this.lastCount = 3;
+
+    // How each color in the sequence is presented while it plays back, and
+    // whether answers get tones and spoken feedback
+    this.presentationModes = {
+      combined: {
+        label: "Sight and sound",
+        speakFeedback: true,
+        flash: true,
+        tone: true,
+        announceColor: true,
+        showPrompt: "Watch the sequence...",
+        showEvent: "sequenceShow",
+      },
+      "audio-only": {
+        label: "Audio only",
+        speakFeedback: true,
+        flash: false,
+        tone: true,
+        announceColor: false,
+        showPrompt: "Listen to the sequence...",
+        showEvent: "sequenceShowAudio",
+      },
+      "visual-only": {
+        label: "Visual only",
+        speakFeedback: false,
+        flash: true,
+        tone: false,
+        announceColor: false,
+        showPrompt: "Watch the sequence...",
+        showEvent: null,
+      },
+    };
+    this.presentationMode = "combined";
+    // The mode the current game is played in; audio-only falls back to
+    // visual-only when tones can't be heard
+    this.activePresentationMode = "combined";
+
+    // Lives: a mistake costs a life and replays the sequence until none are
+    // left. Practice mode never ends and is kept out of the records.
+    this.livesOptions = ["1", "2", "3", "4", "5", "practice"];
+    this.livesSetting = "1";
+    this.livesRemaining = 1;
+    this.livesLost = 0;
+    this.levelStartScore = 0;
 
-    this.colors = ["red", "blue", "green", "yellow"];
     this.difficulty = "medium";
     this.speed = 3; // 1-5 scale
 
@@ -19,10 +137,20 @@ class SequenceGame {
       gameArea: document.getElementById("sequence-game"),
       board: document.getElementById("sequence-board"),
       startBtn: document.getElementById("start-sequence"),
+      seedDisplay: document.getElementById("sequence-seed"),
       replayBtn: document.getElementById("replay-sequence"),
       pauseBtn: document.getElementById("pause-game"),
-      colorBtns: document.querySelectorAll(".color-btn"),
+      endPracticeBtn: document.getElementById("end-practice"),
+      colorGrid: document.getElementById("color-grid"),
+      colorBtns: [],
+      padCountSelect: document.getElementById("sequence-pad-count"),
+      recallRuleSelect: document.getElementById("sequence-recall-rule"),
+      recallRuleDesc: document.getElementById("sequence-recall-rule-desc"),
+      presentationSelect: document.getElementById("sequence-presentation"),
+      livesSelect: document.getElementById("sequence-lives"),
+      livesDisplay: document.getElementById("lives-remaining"),
       feedback: document.getElementById("sequence-feedback"),
+      adaptationStatus: document.getElementById("adaptation-status"),
       levelDisplay: document.getElementById("current-level"),
       scoreDisplay: document.getElementById("current-score"),
       progressBar: document.querySelector(".progress-bar"),
@@ -58,23 +186,35 @@ class SequenceGame {
       );
     }
 
-    // Color buttons
-    this.elements.colorBtns.forEach((btn, index) => {
-      btn.addEventListener("click", () =>
-        this.handleColorClick(btn.dataset.color, index)
+    if (this.elements.endPracticeBtn) {
+      this.elements.endPracticeBtn.addEventListener("click", () =>
+        this.endPractice()
       );
+    }
 
-      // Keyboard support
-      btn.addEventListener("keydown", (e) => {
-        if (e.key === "Enter" || e.key === " ") {
-          e.preventDefault();
-          this.handleColorClick(btn.dataset.color, index);
-        }
+    if (this.elements.padCountSelect) {
+      this.elements.padCountSelect.addEventListener("change", (e) => {
+        this.setPadCount(parseInt(e.target.value));
       });
+    }
 
-      // Add tabindex for keyboard navigation
-      btn.setAttribute("tabindex", "0");
-    });
+    if (this.elements.recallRuleSelect) {
+      this.elements.recallRuleSelect.addEventListener("change", (e) => {
+        this.setRecallRule(e.target.value);
+      });
+    }
+
+    if (this.elements.presentationSelect) {
+      this.elements.presentationSelect.addEventListener("change", (e) => {
+        this.setPresentationMode(e.target.value);
+      });
+    }
+
+    if (this.elements.livesSelect) {
+      this.elements.livesSelect.addEventListener("change", (e) => {
+        this.setLives(e.target.value);
+      });
+    }
 
     // Game settings
     const difficultySelect = document.getElementById("difficulty");
@@ -95,23 +235,6 @@ class SequenceGame {
   }
 
   setupAccessibility() {
-    // Add ARIA labels and descriptions
-    this.elements.colorBtns.forEach((btn, index) => {
-      const color = btn.dataset.color;
-      const sound = btn.dataset.sound;
-      btn.setAttribute("aria-label", `${color} button, plays ${sound} note`);
-      btn.setAttribute("aria-describedby", `color-desc-${index}`);
-
-      // Create description element
-      const desc = document.createElement("div");
-      desc.id = `color-desc-${index}`;
-      desc.className = "sr-only";
-      desc.textContent = `Click to select ${color}. Position ${
-        index + 1
-      } of 4.`;
-      btn.parentNode.appendChild(desc);
-    });
-
     // Add live region for game state
     if (this.elements.feedback) {
       this.elements.feedback.setAttribute("aria-live", "assertive");
@@ -135,12 +258,319 @@ class SequenceGame {
         "medium"
       );
       this.speed = window.storageManager.getUserPreference("sequence-speed", 3);
+      this.padCount = window.storageManager.getUserPreference(
+        "sequence-pad-count",
+        4
+      );
+      this.recallRule = window.storageManager.getUserPreference(
+        "sequence-recall-rule",
+        "forward"
+      );
+      this.presentationMode = window.storageManager.getUserPreference(
+        "sequence-presentation",
+        "combined"
+      );
+      this.livesSetting = window.storageManager.getUserPreference(
+        "sequence-lives",
+        "1"
+      );
+    }
+
+    if (!this.livesOptions.includes(this.livesSetting)) {
+      this.livesSetting = "1";
+    }
+    if (this.elements.livesSelect) {
+      this.elements.livesSelect.value = this.livesSetting;
+    }
+
+    if (!this.presentationModes[this.presentationMode]) {
+      this.presentationMode = "combined";
+    }
+    if (this.elements.presentationSelect) {
+      this.elements.presentationSelect.value = this.presentationMode;
     }
 
+    if (!this.recallRules[this.recallRule]) {
+      this.recallRule = "forward";
+    }
+    this.updateRecallRuleDisplay();
+
+    if (!this.padCounts.includes(this.padCount)) {
+      this.padCount = 4;
+    }
+
+    if (this.elements.padCountSelect) {
+      this.elements.padCountSelect.value = this.padCount;
+    }
+
+    this.buildBoard();
     this.updateDifficulty();
     this.updateSpeed();
   }
 
+  buildBoard() {
+    const grid = this.elements.colorGrid;
+    if (!grid) return;
+
+    this.pads = this.padDefinitions.slice(0, this.padCount);
+    this.colors = this.pads.map((pad) => pad.color);
+
+    grid.innerHTML = "";
+    grid.style.gridTemplateColumns = `repeat(${
+      this.padColumns[this.padCount]
+    }, 1fr)`;
+    grid.dataset.pads = this.padCount;
+
+    this.elements.colorBtns = this.pads.map((pad, index) => {
+      const btn = document.createElement("button");
+      btn.className = "color-btn";
+      btn.dataset.color = pad.color;
+      btn.dataset.sound = pad.note;
+      btn.dataset.pattern = pad.pattern;
+      btn.setAttribute("role", "gridcell");
+      btn.setAttribute("tabindex", "0");
+      btn.setAttribute(
+        "aria-label",
+        `${pad.label} button, position ${index + 1}, plays ${pad.note.charAt(
+          0
+        )} note`
+      );
+      btn.setAttribute("aria-describedby", `color-desc-${index}`);
+      btn.innerHTML = `<span class="color-name">${pad.label}</span>`;
+
+      btn.addEventListener("click", () =>
+        this.handleColorClick(pad.color, index)
+      );
+
+      // Keyboard support
+      btn.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          this.handleColorClick(pad.color, index);
+        }
+      });
+
+      // Description element
+      const desc = document.createElement("div");
+      desc.id = `color-desc-${index}`;
+      desc.className = "sr-only";
+      desc.textContent = `Click to select ${pad.label}, marked with ${
+        pad.pattern
+      }. Position ${index + 1} of ${this.padCount}, row ${
+        Math.floor(index / this.padColumns[this.padCount]) + 1
+      }.`;
+
+      grid.appendChild(btn);
+      grid.appendChild(desc);
+
+      return btn;
+    });
+
+    grid.setAttribute(
+      "aria-label",
+      `Color sequence buttons, ${this.padCount} pads`
+    );
+  }
+
+  setPadCount(count) {
+    if (!this.padCounts.includes(count)) return;
+
+    // The board cannot change shape in the middle of a game
+    if (this.isPlaying) {
+      if (this.elements.padCountSelect) {
+        this.elements.padCountSelect.value = this.padCount;
+      }
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announce(
+          "Finish the current game before changing the number of pads."
+        );
+      }
+      return;
+    }
+
+    this.padCount = count;
+    this.buildBoard();
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference("sequence-pad-count", count);
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(
+        `Sequence board set to ${count} pads`
+      );
+    }
+  }
+
+  setRecallRule(rule) {
+    if (!this.recallRules[rule]) return;
+
+    if (this.isPlaying) {
+      if (this.elements.recallRuleSelect) {
+        this.elements.recallRuleSelect.value = this.recallRule;
+      }
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announce(
+          "Finish the current game before changing the recall rule."
+        );
+      }
+      return;
+    }
+
+    this.recallRule = rule;
+    this.updateRecallRuleDisplay();
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference("sequence-recall-rule", rule);
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(
+        `Recall rule set to ${
+          this.recallRules[rule].label
+        }. ${this.getRecallDescription()}`
+      );
+    }
+  }
+
+  setPresentationMode(mode) {
+    if (!this.presentationModes[mode]) return;
+
+    if (this.isPlaying) {
+      if (this.elements.presentationSelect) {
+        this.elements.presentationSelect.value = this.presentationMode;
+      }
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announce(
+          "Finish the current game before changing the presentation mode."
+        );
+      }
+      return;
+    }
+
+    this.presentationMode = mode;
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference("sequence-presentation", mode);
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(
+        `Presentation set to ${this.presentationModes[mode].label}`
+      );
+    }
+  }
+
+  getPresentation() {
+    return this.presentationModes[this.activePresentationMode];
+  }
+
+  // A mode without flashes needs tones to be heard
+  resolvePresentationMode() {
+    const presentation = this.presentationModes[this.presentationMode];
+    const canHearTones =
+      window.audioManager && window.audioManager.canPlayTones();
+
+    if (!presentation.flash && !canHearTones) {
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announce(
+          "Sound is turned off, so the sequence will be shown instead of played."
+        );
+      }
+      return "visual-only";
+    }
+    return this.presentationMode;
+  }
+
+  setLives(setting) {
+    if (!this.livesOptions.includes(setting)) return;
+
+    if (this.isPlaying) {
+      if (this.elements.livesSelect) {
+        this.elements.livesSelect.value = this.livesSetting;
+      }
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announce(
+          "Finish the current game before changing lives."
+        );
+      }
+      return;
+    }
+
+    this.livesSetting = setting;
+
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference("sequence-lives", setting);
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announce(
+        this.isPracticeMode()
+          ? "Practice mode: unlimited lives, scores are not recorded as records"
+          : `Lives set to ${setting}`
+      );
+    }
+  }
+
+  isPracticeMode() {
+    return this.livesSetting === "practice";
+  }
+
+  updateLivesDisplay() {
+    if (!this.elements.livesDisplay) return;
+
+    if (this.isPracticeMode()) {
+      this.elements.livesDisplay.textContent = "∞";
+      this.elements.livesDisplay.setAttribute("aria-label", "unlimited");
+    } else {
+      this.elements.livesDisplay.textContent = this.livesRemaining;
+      this.elements.livesDisplay.removeAttribute("aria-label");
+    }
+  }
+
+  updateRecallRuleDisplay() {
+    if (this.elements.recallRuleSelect) {
+      this.elements.recallRuleSelect.value = this.recallRule;
+    }
+
+    if (this.elements.recallRuleDesc) {
+      this.elements.recallRuleDesc.textContent = this.getRecallDescription();
+    }
+  }
+
+  getRecallDescription() {
+    const rule = this.recallRules[this.recallRule];
+    if (this.recallRule === "last-n") {
+      return `Repeat only the last ${this.lastCount} colors of the sequence, in order.`;
+    }
+    return rule.description;
+  }
+
+  getExpectedSequence() {
+    switch (this.recallRule) {
+      case "backward":
+        return this.sequence.slice().reverse();
+
+      case "every-other":
+        return this.sequence.filter((color, index) => index % 2 === 0);
+
+      case "last-n":
+        return this.sequence.slice(-this.lastCount);
+
+      default:
+        return this.sequence.slice();
+    }
+  }
+
+  getColorButton(color) {
+    return this.elements.colorGrid?.querySelector(`[data-color="${color}"]`);
+  }
+
+  getColorLabel(color) {
+    const pad = this.pads.find((p) => p.color === color);
+    return pad ? pad.label : color;
+  }
+
   updateDifficulty() {
     document.body.className = document.body.className.replace(
       /difficulty-\w+/g,
@@ -158,6 +588,10 @@ class SequenceGame {
         this.difficulty
       );
     }
+
+    if (this.elements.adaptationStatus) {
+      this.elements.adaptationStatus.hidden = this.difficulty !== "adaptive";
+    }
   }
 
   updateSpeed() {
@@ -172,8 +606,25 @@ class SequenceGame {
 
   startGame() {
     this.resetGame();
+    this.random = window.randomManager.startGame();
     this.isPlaying = true;
-    this.gameSession = window.storageManager?.recordGameStart("sequence");
+
+    if (this.difficulty === "adaptive") {
+      this.updateAdaptation(true);
+      this.level = this.adaptation.startLevel;
+
+      // Pre-fill so the first round shown matches the starting level
+      while (this.sequence.length < this.level - 1) {
+        this.addToSequence();
+      }
+    }
+
+    this.activePresentationMode = this.resolvePresentationMode();
+
+    this.gameSession = window.storageManager?.recordGameStart("sequence", {
+      practice: this.isPracticeMode(),
+    });
+    this.traceStart = Date.now();
 
     // Hide instructions, show game board
     const instructions =
@@ -185,7 +636,11 @@ class SequenceGame {
 
     // Update UI
     this.updateDisplay();
-    this.updateEncouragement("Let's start with level 1. Watch carefully!");
+    this.updateEncouragement(
+      this.activePresentationMode === this.presentationMode
+        ? `Let's start with level ${this.level}. Watch carefully!`
+        : `Sound is turned off, so the sequence will be shown instead of played. Let's start with level ${this.level}.`
+    );
 
     // Start first level
     this.nextLevel();
@@ -209,14 +664,32 @@ class SequenceGame {
     this.isShowingSequence = false;
     this.isPlayerTurn = false;
     this.isPaused = false;
+    this.presses = 0;
+    this.errors = 0;
+    this.responseTimes = [];
+    this.lastPromptTime = null;
+    this.events = [];
+    this.traceStart = null;
+    this.livesRemaining = this.isPracticeMode()
+      ? Infinity
+      : parseInt(this.livesSetting);
+    this.livesLost = 0;
+    this.levelStartScore = 0;
+
+    // Practice games only end when the player says so
+    if (this.elements.endPracticeBtn) {
+      this.elements.endPracticeBtn.hidden = !this.isPracticeMode();
+    }
 
     this.enableColorButtons();
+    this.updateLivesDisplay();
     this.clearFeedback();
     this.updateDisplay();
   }
 
   nextLevel() {
     this.playerSequence = [];
+    this.levelStartScore = this.score;
     this.addToSequence();
     this.showSequence();
   }
@@ -229,8 +702,7 @@ class SequenceGame {
       case "easy":
         // Easier patterns, avoid immediate repeats
         do {
-          newColor =
-            this.colors[Math.floor(Math.random() * this.colors.length)];
+          newColor = this.random.pick(this.colors);
         } while (
           this.sequence.length > 0 &&
           newColor === this.sequence[this.sequence.length - 1]
@@ -239,12 +711,12 @@ class SequenceGame {
 
       case "medium":
         // Random selection
-        newColor = this.colors[Math.floor(Math.random() * this.colors.length)];
+        newColor = this.random.pick(this.colors);
         break;
 
       case "hard":
         // Completely random, can have immediate repeats
-        newColor = this.colors[Math.floor(Math.random() * this.colors.length)];
+        newColor = this.random.pick(this.colors);
         break;
 
       case "adaptive":
@@ -253,38 +725,156 @@ class SequenceGame {
         break;
 
       default:
-        newColor = this.colors[Math.floor(Math.random() * this.colors.length)];
+        newColor = this.random.pick(this.colors);
     }
 
     this.sequence.push(newColor);
   }
 
   getAdaptiveColor() {
-    // Adaptive difficulty based on recent performance
-    const recentErrors = this.getRecentErrorRate();
+    const lastColor = this.sequence[this.sequence.length - 1];
 
-    if (recentErrors > 0.5) {
-      // Make it easier - avoid repeats and use patterns
+    if (this.adaptation.mode === "easier") {
+      // Make it easier - never repeat the previous color
       const availableColors = this.colors.filter(
-        (color) =>
-          this.sequence.length === 0 ||
-          color !== this.sequence[this.sequence.length - 1]
+        (color) => this.sequence.length === 0 || color !== lastColor
       );
-      return availableColors[
-        Math.floor(Math.random() * availableColors.length)
-      ];
-    } else if (recentErrors < 0.2) {
-      // Make it harder - allow more complex patterns
-      return this.colors[Math.floor(Math.random() * this.colors.length)];
-    } else {
-      // Normal difficulty
-      return this.colors[Math.floor(Math.random() * this.colors.length)];
+      return this.random.pick(availableColors);
+    } else if (this.adaptation.mode === "harder" && lastColor) {
+      // Make it harder - immediate repeats are easy to miss
+      if (this.random.next() < 0.3) {
+        return lastColor;
+      }
     }
+
+    return this.random.pick(this.colors);
+  }
+
+  getDefaultAdaptation() {
+    return {
+      mode: "steady",
+      errorRate: null,
+      responseTime: null,
+      intervalMultiplier: 1.0,
+      flashRatio: 0.6,
+      startLevel: 1,
+      reason:
+        "Not enough play history yet, so we're starting at a steady pace.",
+    };
   }
 
   getRecentErrorRate() {
-    // This would track recent performance - simplified for now
-    return 0.3; // Default moderate error rate
+    const history = window.storageManager?.getRecentPerformance("sequence");
+    let errorRate = history ? history.errorRate : null;
+
+    // Blend in the current game once there are enough presses to judge
+    if (this.presses >= 3) {
+      const gameErrorRate = this.errors / this.presses;
+      errorRate =
+        errorRate === null ? gameErrorRate : (errorRate + gameErrorRate) / 2;
+    }
+
+    return errorRate;
+  }
+
+  getRecentResponseTime() {
+    // The current game is the best signal for how quickly the player responds
+    if (this.responseTimes.length >= 3) {
+      return this.getAverageResponseTime();
+    }
+
+    const history = window.storageManager?.getRecentPerformance("sequence");
+    return history ? history.averageResponseTime : null;
+  }
+
+  getAverageResponseTime() {
+    if (this.responseTimes.length === 0) return null;
+
+    const total = this.responseTimes.reduce((sum, time) => sum + time, 0);
+    return Math.round(total / this.responseTimes.length);
+  }
+
+  calculateAdaptation(isGameStart) {
+    const errorRate = this.getRecentErrorRate();
+    const responseTime = this.getRecentResponseTime();
+    const thresholds = this.adaptiveThresholds;
+
+    if (errorRate === null && responseTime === null) {
+      return this.getDefaultAdaptation();
+    }
+
+    const errorText =
+      errorRate !== null ? `${Math.round(errorRate * 100)}% errors` : null;
+    const timeText =
+      responseTime !== null
+        ? `${(responseTime / 1000).toFixed(1)}s per press`
+        : null;
+    const evidence = [errorText, timeText].filter(Boolean).join(" and ");
+
+    const isStruggling =
+      (errorRate !== null && errorRate > thresholds.highErrorRate) ||
+      (responseTime !== null && responseTime > thresholds.slowResponse);
+    const isExcelling =
+      errorRate !== null &&
+      errorRate < thresholds.lowErrorRate &&
+      (responseTime === null || responseTime < thresholds.fastResponse);
+
+    if (isStruggling) {
+      return {
+        mode: "easier",
+        errorRate,
+        responseTime,
+        intervalMultiplier: 1.3,
+        flashRatio: 0.75,
+        startLevel: 1,
+        reason: `Made it easier: ${evidence}. Colors play more slowly and never repeat back to back.`,
+      };
+    }
+
+    if (isExcelling) {
+      const history = window.storageManager?.getRecentPerformance("sequence");
+      const startLevel = isGameStart
+        ? Math.max(1, Math.min(Math.floor((history?.averageLevel || 1) / 2), 5))
+        : this.adaptation.startLevel;
+
+      return {
+        mode: "harder",
+        errorRate,
+        responseTime,
+        intervalMultiplier: 0.8,
+        flashRatio: 0.5,
+        startLevel,
+        reason: `Made it harder: ${evidence}. Colors play faster and may repeat.`,
+      };
+    }
+
+    return {
+      mode: "steady",
+      errorRate,
+      responseTime,
+      intervalMultiplier: 1.0,
+      flashRatio: 0.6,
+      startLevel: isGameStart ? 1 : this.adaptation.startLevel,
+      reason: `Keeping a steady pace: ${evidence}.`,
+    };
+  }
+
+  updateAdaptation(isGameStart = false) {
+    const previousMode = this.adaptation.mode;
+    this.adaptation = this.calculateAdaptation(isGameStart);
+
+    if (this.elements.adaptationStatus) {
+      this.elements.adaptationStatus.textContent = this.adaptation.reason;
+      this.elements.adaptationStatus.dataset.mode = this.adaptation.mode;
+    }
+
+    if (
+      !isGameStart &&
+      previousMode !== this.adaptation.mode &&
+      window.accessibilityManager
+    ) {
+      window.accessibilityManager.announce(this.adaptation.reason, "polite");
+    }
   }
 
   async showSequence() {
@@ -292,7 +882,14 @@ class SequenceGame {
     this.isPlayerTurn = false;
     this.disableColorButtons();
 
-    this.showFeedback("Watch the sequence...", "info");
+    const presentation = this.getPresentation();
+
+    this.showFeedback(
+      this.activePresentationMode === this.presentationMode
+        ? presentation.showPrompt
+        : "Sound is off, so watch the sequence instead...",
+      "info"
+    );
     this.updateEncouragement(
       `Level ${this.level}: Remember this sequence of ${this.sequence.length} colors.`
     );
@@ -305,8 +902,8 @@ class SequenceGame {
       );
     }
 
-    if (window.audioManager) {
-      window.audioManager.announceGameEvent("sequenceShow", {
+    if (window.audioManager && presentation.showEvent) {
+      window.audioManager.announceGameEvent(presentation.showEvent, {
         length: this.sequence.length,
       });
     }
@@ -314,34 +911,44 @@ class SequenceGame {
     // Calculate timing based on speed setting
     const baseInterval = 800;
     const speedMultiplier = [1.5, 1.25, 1.0, 0.8, 0.6][this.speed - 1];
-    const interval = baseInterval * speedMultiplier;
-    const flashDuration = interval * 0.6;
+    let interval = baseInterval * speedMultiplier;
+    let flashDuration = interval * 0.6;
+
+    if (this.difficulty === "adaptive") {
+      interval *= this.adaptation.intervalMultiplier;
+      flashDuration = interval * this.adaptation.flashRatio;
+    }
 
     // Show each color in sequence
     for (let i = 0; i < this.sequence.length; i++) {
       if (!this.isPlaying || this.isPaused) break;
 
       const color = this.sequence[i];
-      const colorBtn = document.querySelector(`[data-color="${color}"]`);
+      const colorBtn = this.getColorButton(color);
 
       if (colorBtn) {
         // Visual flash
-        colorBtn.classList.add("flash");
+        if (presentation.flash) {
+          colorBtn.classList.add("flash");
+
+          // Remove flash after duration
+          setTimeout(() => {
+            colorBtn.classList.remove("flash");
+          }, flashDuration);
+        }
 
         // Audio cue
-        if (window.audioManager) {
+        if (presentation.tone && window.audioManager) {
           window.audioManager.playColorSound(color);
         }
 
         // Announce color for screen readers
-        if (window.accessibilityManager) {
-          window.accessibilityManager.announce(`${color}`, "polite");
+        if (presentation.announceColor && window.accessibilityManager) {
+          window.accessibilityManager.announce(
+            this.getColorLabel(color),
+            "polite"
+          );
         }
-
-        // Remove flash after duration
-        setTimeout(() => {
-          colorBtn.classList.remove("flash");
-        }, flashDuration);
       }
 
       // Wait before next color
@@ -359,16 +966,31 @@ class SequenceGame {
     this.isPlayerTurn = true;
     this.enableColorButtons();
 
-    this.showFeedback("Your turn! Click the colors in order.", "info");
-    this.updateEncouragement("Now repeat the sequence. Take your time!");
+    this.lastPromptTime = Date.now();
+
+    const expectedLength = this.getExpectedSequence().length;
+    this.recordEvent("prompt", { level: this.level, length: expectedLength });
+    this.showFeedback(this.recallRules[this.recallRule].prompt, "info");
+    this.updateEncouragement(
+      `Now repeat ${expectedLength} ${
+        expectedLength === 1 ? "color" : "colors"
+      }. Take your time!`
+    );
 
     // Announce player turn
+    const rule = this.recallRules[this.recallRule];
+
     if (window.accessibilityManager) {
-      window.accessibilityManager.announceGameState("sequence-input");
+      window.accessibilityManager.announceGameState(
+        rule.inputState,
+        expectedLength
+      );
     }
 
     if (window.audioManager) {
-      window.audioManager.announceGameEvent("sequenceInput");
+      window.audioManager.announceGameEvent(rule.inputEvent, {
+        count: expectedLength,
+      });
     }
 
     // Focus first color button for keyboard users
@@ -383,30 +1005,51 @@ class SequenceGame {
   handleColorClick(color, index) {
     if (!this.isPlayerTurn || this.isPaused) return;
 
-    const colorBtn = document.querySelector(`[data-color="${color}"]`);
+    const colorBtn = this.getColorButton(color);
 
     // Visual feedback
     colorBtn.classList.add("active");
     setTimeout(() => colorBtn.classList.remove("active"), 200);
 
     // Audio feedback
-    if (window.audioManager) {
+    if (this.getPresentation().tone && window.audioManager) {
       window.audioManager.playColorSound(color);
     }
 
+    // Track response time from the prompt or the previous press
+    const now = Date.now();
+    const responseTime = this.lastPromptTime ? now - this.lastPromptTime : null;
+    if (responseTime !== null) {
+      this.responseTimes.push(responseTime);
+    }
+    this.lastPromptTime = now;
+    this.presses++;
+
     // Add to player sequence
     this.playerSequence.push(color);
 
-    // Check if correct
+    // Check if correct under the active recall rule
+    const expectedSequence = this.getExpectedSequence();
     const currentIndex = this.playerSequence.length - 1;
-    const expectedColor = this.sequence[currentIndex];
+    const expectedColor = expectedSequence[currentIndex];
+
+    // The first press of a turn is timed from the prompt, later presses
+    // from the press before them
+    this.recordEvent("press", {
+      level: this.level,
+      position: currentIndex,
+      color,
+      expected: expectedColor,
+      correct: color === expectedColor,
+      [currentIndex === 0 ? "fromPrompt" : "interval"]: responseTime,
+    });
 
     if (color === expectedColor) {
       // Correct color
       this.handleCorrectColor(color, colorBtn);
 
       // Check if sequence complete
-      if (this.playerSequence.length === this.sequence.length) {
+      if (this.playerSequence.length === expectedSequence.length) {
         this.handleSequenceComplete();
       }
     } else {
@@ -423,8 +1066,9 @@ class SequenceGame {
     this.score += 10 * this.level;
     this.updateDisplay();
 
-    // Audio feedback
-    if (window.audioManager) {
+    // Audio feedback; spoken colors would give the answer away in
+    // visual-only play
+    if (window.audioManager && this.getPresentation().speakFeedback) {
       window.audioManager.playSuccessSound();
       window.audioManager.announceGameEvent("correctColor", { color });
     }
@@ -436,29 +1080,36 @@ class SequenceGame {
   }
 
   handleIncorrectColor(color, expectedColor, colorBtn) {
+    this.errors++;
+    this.isPlayerTurn = false;
+    this.disableColorButtons();
     colorBtn.classList.add("incorrect");
     setTimeout(() => colorBtn.classList.remove("incorrect"), 500);
 
     // Show correct color briefly
-    const correctBtn = document.querySelector(
-      `[data-color="${expectedColor}"]`
-    );
+    const correctBtn = this.getColorButton(expectedColor);
     if (correctBtn) {
       correctBtn.classList.add("flash");
       setTimeout(() => correctBtn.classList.remove("flash"), 800);
     }
 
+    if (this.livesRemaining > 1) {
+      this.loseLife(expectedColor);
+      return;
+    }
+
+    const expectedLabel = this.getColorLabel(expectedColor);
     this.showFeedback(
-      `Wrong! The correct color was ${expectedColor}.`,
+      `Wrong! The correct color was ${expectedLabel}.`,
       "error"
     );
 
     // Audio feedback
-    if (window.audioManager) {
+    if (window.audioManager && this.getPresentation().speakFeedback) {
       window.audioManager.playErrorSound();
       window.audioManager.announceGameEvent("incorrectColor", {
-        color,
-        expected: expectedColor,
+        color: this.getColorLabel(color),
+        expected: expectedLabel,
       });
     }
 
@@ -471,6 +1122,47 @@ class SequenceGame {
     setTimeout(() => this.endGame(), 1500);
   }
 
+  loseLife(expectedColor) {
+    this.livesLost++;
+    this.livesRemaining--;
+    this.updateLivesDisplay();
+
+    // Points earned on the failed attempt are taken back before the replay
+    this.score = this.levelStartScore;
+    this.updateDisplay();
+
+    const livesText = this.isPracticeMode()
+      ? "Practice mode"
+      : `${this.livesRemaining} ${
+          this.livesRemaining === 1 ? "life" : "lives"
+        } left`;
+
+    const expectedLabel = this.getColorLabel(expectedColor);
+    this.showFeedback(
+      `Not quite! The correct color was ${expectedLabel}. ${livesText}. Watch again.`,
+      "error"
+    );
+    this.updateEncouragement("No problem - let's see that sequence again.");
+
+    if (window.audioManager && this.getPresentation().speakFeedback) {
+      window.audioManager.playErrorSound();
+      window.audioManager.announceGameEvent("lifeLost", {
+        expected: expectedLabel,
+        lives: livesText,
+      });
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("life-lost", livesText);
+    }
+
+    setTimeout(() => {
+      if (!this.isPlaying) return;
+      this.playerSequence = [];
+      this.showSequence();
+    }, 2000);
+  }
+
   handleSequenceComplete() {
     this.isPlayerTurn = false;
     this.disableColorButtons();
@@ -503,8 +1195,14 @@ class SequenceGame {
 
     // Next level after delay
     setTimeout(() => {
+      if (!this.isPlaying) return;
       this.level++;
       this.updateDisplay();
+
+      if (this.difficulty === "adaptive") {
+        this.updateAdaptation();
+      }
+
       this.nextLevel();
     }, 2000);
   }
@@ -519,12 +1217,32 @@ class SequenceGame {
       window.storageManager.recordGameEnd("sequence", {
         score: this.score,
         level: this.level,
+        moves: this.presses,
+        errors: this.errors,
+        responseTime: this.getAverageResponseTime(),
+        padCount: this.padCount,
+        recallRule: this.recallRule,
+        presentationMode: this.activePresentationMode,
+        lives: this.livesSetting,
+        livesLost: this.livesLost,
+        practice: this.isPracticeMode(),
+        events: this.getEventTrace(),
+        adaptation:
+          this.difficulty === "adaptive"
+            ? { mode: this.adaptation.mode, reason: this.adaptation.reason }
+            : undefined,
+        seed: this.random.seed,
         completed: false,
       });
     }
 
-    this.showFeedback(`Game Over! Final Score: ${this.score}`, "error");
-    this.updateEncouragement("Good effort! Want to try again?");
+    if (this.isPracticeMode()) {
+      this.showFeedback(`Practice finished! Score: ${this.score}`, "info");
+      this.updateEncouragement("Nice practice! Play again whenever you like.");
+    } else {
+      this.showFeedback(`Game Over! Final Score: ${this.score}`, "error");
+      this.updateEncouragement("Good effort! Want to try again?");
+    }
 
     // Audio feedback
     if (window.audioManager) {
@@ -542,6 +1260,15 @@ class SequenceGame {
     }, 2000);
   }
 
+  endPractice() {
+    if (!this.isPlaying || !this.isPracticeMode()) return;
+
+    if (window.audioManager) {
+      window.audioManager.playButtonSound();
+    }
+    this.endGame();
+  }
+
   showRestartOption() {
     const instructions =
       this.elements.gameArea.querySelector(".game-instructions");
@@ -551,6 +1278,10 @@ class SequenceGame {
       this.elements.startBtn.focus();
     }
     this.elements.board.hidden = true;
+    if (this.elements.seedDisplay && this.random) {
+      this.elements.seedDisplay.textContent = `Game seed: ${this.random.seed}`;
+      this.elements.seedDisplay.hidden = false;
+    }
   }
 
   replaySequence() {
@@ -582,6 +1313,8 @@ class SequenceGame {
     } else {
       if (this.isPlayerTurn) {
         this.enableColorButtons();
+        // Time spent paused should not count as response time
+        this.lastPromptTime = Date.now();
       }
       this.clearFeedback();
       this.elements.pauseBtn.innerHTML =
@@ -677,17 +1410,42 @@ class SequenceGame {
     this.updateSpeed();
   }
 
+  recordEvent(type, details = {}) {
+    if (!this.traceStart) return;
+
+    this.events.push({
+      type,
+      time: Date.now() - this.traceStart,
+      ...details,
+    });
+  }
+
+  // Event times are milliseconds from the start of the game
+  getEventTrace() {
+    return this.events.map((event) => ({ ...event }));
+  }
+
+  getAdaptationState() {
+    return { ...this.adaptation };
+  }
+
   getCurrentStats() {
     return {
       level: this.level,
       score: this.score,
       sequence: this.sequence.slice(),
       isPlaying: this.isPlaying,
+      recallRule: this.recallRule,
+      presentationMode: this.presentationMode,
+      livesRemaining: this.livesRemaining,
+      livesLost: this.livesLost,
+      adaptation: this.getAdaptationState(),
     };
   }
 }
 
 // Initialize sequence game when DOM is ready
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  await window.storageManager.ready;
   window.sequenceGame = new SequenceGame();
 });
@@ -0,0 +1,795 @@
+// MemoryPal - Word Chain Game
+class WordChainGame {
+  constructor() {
+    this.chain = [];
+    this.playerChain = [];
+    this.choices = [];
+    this.learnedWords = [];
+    this.level = 1;
+    this.score = 0;
+    this.moves = 0;
+    this.levelStart = { score: 0, moves: 0 };
+    this.longestChain = 0;
+    this.isPlaying = false;
+    this.isShowingChain = false;
+    this.isPlayerTurn = false;
+    this.isPaused = false;
+    this.gameSession = null;
+    this.random = null;
+    this.previewId = 0;
+
+    this.difficulty = "medium";
+    this.speed = 3; // 1-5 scale
+    this.inputMode = "type";
+    this.distractorCount = 3;
+
+    this.wordBanks = {
+      easy: [
+        "cat",
+        "dog",
+        "sun",
+        "hat",
+        "cup",
+        "bed",
+        "car",
+        "tree",
+        "book",
+        "fish",
+        "milk",
+        "ball",
+        "door",
+        "cake",
+        "bird",
+        "rain",
+        "shoe",
+        "key",
+        "bus",
+        "egg",
+      ],
+      medium: [
+        "garden",
+        "window",
+        "pillow",
+        "basket",
+        "candle",
+        "rabbit",
+        "bridge",
+        "forest",
+        "orange",
+        "button",
+        "kitchen",
+        "pencil",
+        "ladder",
+        "market",
+        "island",
+        "jacket",
+        "violin",
+        "anchor",
+        "turtle",
+        "meadow",
+      ],
+      hard: [
+        "umbrella",
+        "telescope",
+        "harmonica",
+        "lighthouse",
+        "butterfly",
+        "avalanche",
+        "cathedral",
+        "porcupine",
+        "marmalade",
+        "saxophone",
+        "waterfall",
+        "passenger",
+        "blueprint",
+        "chocolate",
+        "hurricane",
+        "magnolia",
+        "parachute",
+        "volcano",
+        "signature",
+        "whirlpool",
+      ],
+    };
+
+    this.elements = {
+      gameArea: document.getElementById("wordchain-game"),
+      board: document.getElementById("wordchain-board"),
+      startBtn: document.getElementById("start-wordchain"),
+      seedDisplay: document.getElementById("wordchain-seed"),
+      replayBtn: document.getElementById("replay-words"),
+      pauseBtn: document.getElementById("pause-wordchain"),
+      inputModeSelect: document.getElementById("wordchain-input-mode"),
+      wordDisplay: document.getElementById("word-display"),
+      inputForm: document.getElementById("word-input-form"),
+      input: document.getElementById("word-input"),
+      choices: document.getElementById("word-choices"),
+      position: document.getElementById("word-position"),
+      total: document.getElementById("word-total"),
+      feedback: document.getElementById("wordchain-feedback"),
+      levelDisplay: document.getElementById("current-level"),
+      scoreDisplay: document.getElementById("current-score"),
+      progressBar: document.querySelector(".progress-bar"),
+      progressFill: document.querySelector(".progress-fill"),
+      encouragement: document.getElementById("encouragement-text"),
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.setupAccessibility();
+    this.loadSettings();
+  }
+
+  setupEventListeners() {
+    if (this.elements.startBtn) {
+      this.elements.startBtn.addEventListener("click", () => this.startGame());
+    }
+
+    if (this.elements.replayBtn) {
+      this.elements.replayBtn.addEventListener("click", () =>
+        this.replayChain()
+      );
+    }
+
+    if (this.elements.pauseBtn) {
+      this.elements.pauseBtn.addEventListener("click", () =>
+        this.togglePause()
+      );
+    }
+
+    if (this.elements.inputForm) {
+      this.elements.inputForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.handleTypedWord();
+      });
+    }
+
+    if (this.elements.inputModeSelect) {
+      this.elements.inputModeSelect.addEventListener("change", (e) => {
+        this.inputMode = e.target.value;
+        this.updateInputMode();
+      });
+    }
+
+    // Game settings
+    const difficultySelect = document.getElementById("difficulty");
+    if (difficultySelect) {
+      difficultySelect.addEventListener("change", (e) => {
+        this.difficulty = e.target.value;
+        this.updateDifficulty();
+      });
+    }
+
+    const speedSlider = document.getElementById("game-speed");
+    if (speedSlider) {
+      speedSlider.addEventListener("input", (e) => {
+        this.speed = parseInt(e.target.value);
+      });
+    }
+  }
+
+  setupAccessibility() {
+    if (this.elements.feedback) {
+      this.elements.feedback.setAttribute("aria-live", "assertive");
+      this.elements.feedback.setAttribute("aria-atomic", "true");
+    }
+
+    if (this.elements.wordDisplay) {
+      this.elements.wordDisplay.setAttribute("aria-live", "polite");
+      this.elements.wordDisplay.setAttribute("aria-atomic", "true");
+    }
+
+    if (this.elements.choices) {
+      this.elements.choices.setAttribute("role", "grid");
+      this.elements.choices.setAttribute("aria-label", "Word choices");
+    }
+  }
+
+  loadSettings() {
+    if (window.storageManager) {
+      this.difficulty = window.storageManager.getUserPreference(
+        "wordchain-difficulty",
+        "medium"
+      );
+      this.speed = window.storageManager.getUserPreference("sequence-speed", 3);
+      this.inputMode = window.storageManager.getUserPreference(
+        "wordchain-input-mode",
+        "type"
+      );
+    }
+
+    if (this.elements.inputModeSelect) {
+      this.elements.inputModeSelect.value = this.inputMode;
+    }
+
+    this.updateDifficulty();
+  }
+
+  updateDifficulty() {
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference(
+        "wordchain-difficulty",
+        this.difficulty
+      );
+    }
+  }
+
+  updateInputMode() {
+    if (window.storageManager) {
+      window.storageManager.saveUserPreference(
+        "wordchain-input-mode",
+        this.inputMode
+      );
+    }
+  }
+
+  getWordBank() {
+    // Adaptive play draws from every bank so word length varies
+    if (this.difficulty === "adaptive") {
+      return [
+        ...this.wordBanks.easy,
+        ...this.wordBanks.medium,
+        ...this.wordBanks.hard,
+      ];
+    }
+
+    return this.wordBanks[this.difficulty] || this.wordBanks.medium;
+  }
+
+  calculateChainLength() {
+    return Math.min(this.level + 2, this.getWordBank().length);
+  }
+
+  startGame() {
+    this.resetGame();
+    this.random = window.randomManager.startGame();
+    this.isPlaying = true;
+    this.gameSession = window.storageManager?.recordGameStart("wordchain");
+
+    const instructions =
+      this.elements.gameArea.querySelector(".game-instructions");
+    if (instructions) {
+      instructions.style.display = "none";
+    }
+    this.elements.board.hidden = false;
+
+    this.updateDisplay();
+    this.updateEncouragement("Let's start with level 1. Listen carefully!");
+
+    this.nextLevel();
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("game-start");
+    }
+
+    if (window.audioManager) {
+      window.audioManager.announceGameEvent("gameStart");
+    }
+  }
+
+  resetGame() {
+    this.chain = [];
+    this.playerChain = [];
+    this.choices = [];
+    this.learnedWords = [];
+    this.level = 1;
+    this.score = 0;
+    this.moves = 0;
+    this.longestChain = 0;
+    this.isPlaying = false;
+    this.isShowingChain = false;
+    this.isPlayerTurn = false;
+    this.isPaused = false;
+
+    this.clearFeedback();
+    this.updateDisplay();
+  }
+
+  nextLevel() {
+    this.playerChain = [];
+    this.levelStart = { score: this.score, moves: this.moves };
+    this.generateChain();
+    this.showChain();
+  }
+
+  generateChain() {
+    const words = this.shuffle(this.getWordBank().slice());
+    const length = this.calculateChainLength();
+
+    this.chain = words.slice(0, length);
+
+    // Distractors are drawn from the same bank but never appear in the chain
+    const distractors = words.slice(length, length + this.distractorCount);
+    this.choices = this.shuffle([...this.chain, ...distractors]);
+  }
+
+  shuffle(items) {
+    return this.random.shuffle(items);
+  }
+
+  getWordInterval() {
+    const baseInterval = 1500;
+    const speedMultiplier = [1.5, 1.25, 1.0, 0.8, 0.6][this.speed - 1] || 1.0;
+    return baseInterval * speedMultiplier;
+  }
+
+  async showChain() {
+    const previewId = ++this.previewId;
+    this.isShowingChain = true;
+    this.isPlayerTurn = false;
+    this.hideAnswerControls();
+    this.updatePosition();
+
+    this.showFeedback("Watch and listen...", "info");
+    this.updateEncouragement(
+      `Level ${this.level}: Remember these ${this.chain.length} words in order.`
+    );
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState(
+        "word-show",
+        this.chain.length
+      );
+    }
+
+    if (window.audioManager) {
+      window.audioManager.announceGameEvent("wordShow", {
+        count: this.chain.length,
+      });
+    }
+
+    // Let the announcement finish before the first word
+    await this.delay(1500);
+
+    const interval = this.getWordInterval();
+
+    for (let i = 0; i < this.chain.length; i++) {
+      if (!this.isPlaying || this.isPaused || previewId !== this.previewId)
+        return;
+
+      const word = this.chain[i];
+      this.showWord(word, i);
+
+      if (window.audioManager) {
+        window.audioManager.speak(word, { rate: 0.9 });
+      }
+
+      await this.delay(interval);
+    }
+
+    if (!this.isPlaying || this.isPaused || previewId !== this.previewId)
+      return;
+
+    this.clearWordDisplay();
+    this.startPlayerTurn();
+  }
+
+  showWord(word, index) {
+    if (!this.elements.wordDisplay) return;
+
+    this.elements.wordDisplay.textContent = word;
+    this.elements.wordDisplay.setAttribute(
+      "aria-label",
+      `Word ${index + 1} of ${this.chain.length}: ${word}`
+    );
+    this.elements.wordDisplay.classList.remove("current");
+    // Force reflow so the highlight animation restarts for repeated words
+    void this.elements.wordDisplay.offsetWidth;
+    this.elements.wordDisplay.classList.add("current");
+  }
+
+  clearWordDisplay() {
+    if (!this.elements.wordDisplay) return;
+
+    this.elements.wordDisplay.textContent = "?";
+    this.elements.wordDisplay.removeAttribute("aria-label");
+    this.elements.wordDisplay.classList.remove("current");
+  }
+
+  startPlayerTurn() {
+    this.isShowingChain = false;
+    this.isPlayerTurn = true;
+    this.showAnswerControls();
+
+    const instruction =
+      this.inputMode === "choose"
+        ? "Your turn! Choose the words in order."
+        : "Your turn! Type the words in order.";
+    this.showFeedback(instruction, "info");
+    this.updateEncouragement("Take your time. Start with the first word.");
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("word-input");
+    }
+
+    if (window.audioManager) {
+      window.audioManager.announceGameEvent("wordInput");
+    }
+  }
+
+  showAnswerControls() {
+    if (this.inputMode === "choose") {
+      this.renderChoices();
+    } else if (this.elements.input) {
+      this.elements.input.value = "";
+      this.elements.input.disabled = false;
+    }
+    this.revealAnswerControls();
+  }
+
+  // Shows the controls as they were left, so resuming keeps used choices
+  // disabled and a half-typed word in place
+  revealAnswerControls() {
+    if (this.inputMode === "choose") {
+      if (this.elements.inputForm) this.elements.inputForm.hidden = true;
+      if (this.elements.choices) {
+        this.elements.choices.hidden = false;
+        this.elements.choices
+          .querySelector(".word-choice:not(:disabled)")
+          ?.focus();
+      }
+    } else {
+      if (this.elements.choices) this.elements.choices.hidden = true;
+      if (this.elements.inputForm) {
+        this.elements.inputForm.hidden = false;
+        this.elements.input.focus();
+      }
+    }
+  }
+
+  hideAnswerControls() {
+    if (this.elements.inputForm) this.elements.inputForm.hidden = true;
+    if (this.elements.choices) this.elements.choices.hidden = true;
+  }
+
+  renderChoices() {
+    if (!this.elements.choices) return;
+
+    this.elements.choices.innerHTML = "";
+
+    this.choices.forEach((word, index) => {
+      const choiceBtn = document.createElement("button");
+      choiceBtn.className = "word-choice";
+      choiceBtn.dataset.word = word;
+      choiceBtn.setAttribute("role", "gridcell");
+      choiceBtn.setAttribute("tabindex", "0");
+      choiceBtn.setAttribute(
+        "aria-label",
+        `${word}, choice ${index + 1} of ${this.choices.length}`
+      );
+      choiceBtn.textContent = word;
+
+      choiceBtn.addEventListener("click", () =>
+        this.handleWordChoice(word, choiceBtn)
+      );
+
+      this.elements.choices.appendChild(choiceBtn);
+    });
+  }
+
+  handleTypedWord() {
+    if (!this.isPlayerTurn || this.isPaused || !this.elements.input) return;
+
+    const word = this.elements.input.value.trim().toLowerCase();
+    if (!word) return;
+
+    this.elements.input.value = "";
+    this.checkWord(word);
+  }
+
+  handleWordChoice(word, choiceBtn) {
+    if (!this.isPlayerTurn || this.isPaused) return;
+
+    const isCorrect = this.checkWord(word);
+    if (isCorrect) {
+      choiceBtn.classList.add("used");
+      choiceBtn.disabled = true;
+      choiceBtn.setAttribute("tabindex", "-1");
+    } else {
+      choiceBtn.classList.add("incorrect");
+    }
+  }
+
+  checkWord(word) {
+    this.moves++;
+
+    const expectedWord = this.chain[this.playerChain.length];
+    if (word === expectedWord) {
+      this.playerChain.push(word);
+      this.handleCorrectWord(word);
+
+      if (this.playerChain.length === this.chain.length) {
+        this.handleChainComplete();
+      }
+      return true;
+    }
+
+    this.handleIncorrectWord(word, expectedWord);
+    return false;
+  }
+
+  handleCorrectWord(word) {
+    this.score += 10 * this.level;
+    this.updateDisplay();
+    this.updatePosition();
+
+    if (this.elements.wordDisplay) {
+      this.elements.wordDisplay.textContent = this.playerChain.join(" → ");
+    }
+
+    if (window.audioManager) {
+      window.audioManager.playSuccessSound();
+      window.audioManager.announceGameEvent("wordCorrect", { word });
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("correct");
+    }
+  }
+
+  handleIncorrectWord(word, expectedWord) {
+    this.isPlayerTurn = false;
+    this.hideAnswerControls();
+
+    this.showFeedback(
+      `Not quite! The next word was "${expectedWord}".`,
+      "error"
+    );
+
+    if (this.elements.wordDisplay) {
+      this.elements.wordDisplay.textContent = this.chain.join(" → ");
+    }
+
+    if (window.audioManager) {
+      window.audioManager.playErrorSound();
+      window.audioManager.announceGameEvent("wordIncorrect", {
+        word,
+        expected: expectedWord,
+      });
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("incorrect", expectedWord);
+    }
+
+    setTimeout(() => this.endGame(), 2500);
+  }
+
+  handleChainComplete() {
+    this.isPlayerTurn = false;
+    this.hideAnswerControls();
+
+    this.longestChain = Math.max(this.longestChain, this.chain.length);
+    this.chain.forEach((word) => {
+      if (!this.learnedWords.includes(word)) {
+        this.learnedWords.push(word);
+      }
+    });
+
+    const levelBonus = this.level * 50;
+    this.score += levelBonus;
+
+    this.showFeedback(`Perfect! Level ${this.level} complete!`, "success");
+    this.updateEncouragement(
+      `Wonderful recall! You scored ${levelBonus} bonus points.`
+    );
+
+    if (window.audioManager) {
+      window.audioManager.playCompleteSound();
+      window.audioManager.announceGameEvent("levelComplete", {
+        level: this.level,
+        score: this.score,
+      });
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("level-up", this.level + 1);
+    }
+
+    this.updateProgress();
+
+    setTimeout(() => {
+      if (!this.isPlaying) return;
+      this.level++;
+      this.updateDisplay();
+      this.nextLevel();
+    }, 2500);
+  }
+
+  endGame() {
+    this.isPlaying = false;
+    this.isPlayerTurn = false;
+    this.hideAnswerControls();
+
+    if (window.storageManager && this.gameSession) {
+      window.storageManager.recordGameEnd("wordchain", {
+        score: this.score,
+        level: this.level,
+        moves: this.moves,
+        chainLength: this.longestChain,
+        words: this.learnedWords.slice(),
+        seed: this.random.seed,
+        completed: false,
+      });
+    }
+
+    this.showFeedback(`Game Over! Final Score: ${this.score}`, "error");
+    this.updateEncouragement(
+      `Good effort! Your longest chain was ${this.longestChain} words.`
+    );
+
+    if (window.audioManager) {
+      window.audioManager.announceGameEvent("gameOver", { score: this.score });
+    }
+
+    if (window.accessibilityManager) {
+      window.accessibilityManager.announceGameState("game-over", this.score);
+    }
+
+    setTimeout(() => {
+      this.showRestartOption();
+    }, 2000);
+  }
+
+  showRestartOption() {
+    const instructions =
+      this.elements.gameArea.querySelector(".game-instructions");
+    if (instructions) {
+      instructions.style.display = "block";
+      this.elements.startBtn.textContent = "Play Again";
+      this.elements.startBtn.focus();
+    }
+    this.elements.board.hidden = true;
+    if (this.elements.seedDisplay && this.random) {
+      this.elements.seedDisplay.textContent = `Game seed: ${this.random.seed}`;
+      this.elements.seedDisplay.hidden = false;
+    }
+  }
+
+  replayChain() {
+    if (!this.isPlaying || this.isShowingChain || this.chain.length === 0)
+      return;
+
+    // Words given before the replay don't count twice
+    this.playerChain = [];
+    this.score = this.levelStart.score;
+    this.moves = this.levelStart.moves;
+    this.updateDisplay();
+    this.showChain();
+
+    if (window.audioManager) {
+      window.audioManager.playButtonSound();
+    }
+  }
+
+  togglePause() {
+    if (!this.isPlaying) return;
+
+    this.isPaused = !this.isPaused;
+
+    if (this.isPaused) {
+      this.hideAnswerControls();
+      this.showFeedback("Game Paused", "info");
+      this.elements.pauseBtn.innerHTML =
+        '<span class="button-icon" aria-hidden="true">▶️</span>Resume';
+
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announceGameState("pause");
+      }
+    } else {
+      if (this.isPlayerTurn) {
+        this.revealAnswerControls();
+        this.clearFeedback();
+      } else {
+        // Pausing interrupts the preview, so start the chain again
+        this.playerChain = [];
+        this.showChain();
+      }
+      this.elements.pauseBtn.innerHTML =
+        '<span class="button-icon" aria-hidden="true">⏸️</span>Pause';
+
+      if (window.accessibilityManager) {
+        window.accessibilityManager.announceGameState("resume");
+      }
+    }
+
+    if (window.audioManager) {
+      window.audioManager.playButtonSound();
+    }
+  }
+
+  updatePosition() {
+    if (this.elements.position) {
+      this.elements.position.textContent = this.playerChain.length;
+    }
+
+    if (this.elements.total) {
+      this.elements.total.textContent = this.chain.length;
+    }
+  }
+
+  showFeedback(message, type) {
+    if (this.elements.feedback) {
+      this.elements.feedback.textContent = message;
+      this.elements.feedback.className = `wordchain-feedback ${type}`;
+    }
+  }
+
+  clearFeedback() {
+    if (this.elements.feedback) {
+      this.elements.feedback.textContent = "";
+      this.elements.feedback.className = "wordchain-feedback";
+    }
+  }
+
+  updateDisplay() {
+    if (this.elements.levelDisplay) {
+      this.elements.levelDisplay.textContent = this.level;
+    }
+
+    if (this.elements.scoreDisplay) {
+      this.elements.scoreDisplay.textContent = this.score;
+    }
+  }
+
+  updateProgress() {
+    const maxLevel = 20;
+    const progress = Math.min((this.level / maxLevel) * 100, 100);
+
+    if (this.elements.progressFill) {
+      this.elements.progressFill.style.width = `${progress}%`;
+    }
+
+    if (this.elements.progressBar) {
+      this.elements.progressBar.setAttribute(
+        "aria-valuenow",
+        Math.round(progress)
+      );
+    }
+  }
+
+  updateEncouragement(message) {
+    if (this.elements.encouragement) {
+      this.elements.encouragement.textContent = message;
+    }
+  }
+
+  delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Public API for external control
+  setDifficulty(difficulty) {
+    this.difficulty = difficulty;
+    this.updateDifficulty();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  setInputMode(mode) {
+    this.inputMode = mode;
+    this.updateInputMode();
+  }
+
+  getCurrentStats() {
+    return {
+      level: this.level,
+      score: this.score,
+      chain: this.chain.slice(),
+      longestChain: this.longestChain,
+      wordsLearned: this.learnedWords.length,
+      isPlaying: this.isPlaying,
+    };
+  }
+}
+
+// Initialize word chain game when DOM is ready
+document.addEventListener("DOMContentLoaded", async () => {
+  await window.storageManager.ready;
+  window.wordChainGame = new WordChainGame();
+});
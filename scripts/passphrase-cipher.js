@@ -0,0 +1,145 @@
+// MemoryPal - Passphrase Cipher
+// Protects exported files and backups with a passphrase. The key is
+// derived with PBKDF2 (SHA-256) and the text is sealed with AES-GCM, so a
+// wrong passphrase or a changed file fails to open instead of giving
+// garbage. Encrypted text is a small JSON envelope:
+//   { type: "memorypal-encrypted", version, kdf, iterations, salt, iv, data }
+class PassphraseCipher {
+  constructor(iterations = 250000) {
+    this.type = "memorypal-encrypted";
+    this.version = 1;
+    this.iterations = iterations;
+    // Files asking for more iterations than this could hang the page
+    // before a wrong passphrase is noticed
+    this.minIterations = 100000;
+    this.maxIterations = 1000000;
+    this.minLength = 8;
+  }
+
+  static isSupported() {
+    return Boolean(window.crypto && window.crypto.subtle);
+  }
+
+  isEncrypted(text) {
+    try {
+      const parsed = JSON.parse(text);
+      return Boolean(parsed) && parsed.type === this.type;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async encrypt(text, passphrase) {
+    this.checkSupport();
+    if (!passphrase || passphrase.length < this.minLength) {
+      throw new Error(
+        `Use a passphrase of at least ${this.minLength} characters.`
+      );
+    }
+
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveKey(passphrase, salt, this.iterations);
+    const sealed = await window.crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(text)
+    );
+
+    return JSON.stringify({
+      type: this.type,
+      version: this.version,
+      kdf: "PBKDF2-SHA256",
+      iterations: this.iterations,
+      salt: this.toBase64(salt),
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(sealed)),
+    });
+  }
+
+  async decrypt(text, passphrase) {
+    this.checkSupport();
+
+    let envelope;
+    try {
+      envelope = JSON.parse(text);
+      if (
+        envelope.type !== this.type ||
+        !Number.isInteger(envelope.iterations) ||
+        envelope.iterations < this.minIterations ||
+        envelope.iterations > this.maxIterations ||
+        !envelope.salt ||
+        !envelope.iv ||
+        !envelope.data
+      ) {
+        throw new Error("Missing fields");
+      }
+    } catch (error) {
+      throw new Error("This protected file is damaged and can't be opened.");
+    }
+    if (envelope.version > this.version) {
+      throw new Error(
+        "This file was protected by a newer version of MemoryPal."
+      );
+    }
+
+    let opened;
+    try {
+      const key = await this.deriveKey(
+        passphrase || "",
+        this.fromBase64(envelope.salt),
+        envelope.iterations
+      );
+      opened = await window.crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: this.fromBase64(envelope.iv) },
+        key,
+        this.fromBase64(envelope.data)
+      );
+    } catch (error) {
+      // AES-GCM can't tell a wrong key from changed data
+      throw new Error(
+        "That passphrase doesn't open this file. Check it and try again."
+      );
+    }
+
+    return new TextDecoder().decode(opened);
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await window.crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+
+    return window.crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  checkSupport() {
+    if (!PassphraseCipher.isSupported()) {
+      throw new Error(
+        "This browser can't encrypt files. Open MemoryPal over https to use passphrases."
+      );
+    }
+  }
+
+  toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  }
+}
@@ -0,0 +1,97 @@
+// MemoryPal - Random Manager
+// Seedable random numbers shared by all games, so a trial can be replayed
+// exactly by starting it from the same seed.
+class RandomManager {
+  constructor() {
+    this.fixedSeed = null;
+
+    this.init();
+  }
+
+  init() {
+    // A seed in the address (e.g. ?seed=12345) fixes every game to it
+    try {
+      const params = new URLSearchParams(window.location.search);
+      if (params.has("seed")) {
+        this.setSeed(params.get("seed"));
+      }
+    } catch (error) {
+      console.warn("Failed to read seed from URL:", error);
+    }
+  }
+
+  normalizeSeed(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (text === "") return null;
+
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // Text seeds are hashed (FNV-1a) so names like "trial-a" work too
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  generateSeed() {
+    if (window.crypto && window.crypto.getRandomValues) {
+      return window.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  setSeed(value) {
+    this.fixedSeed = this.normalizeSeed(value);
+    return this.fixedSeed;
+  }
+
+  clearSeed() {
+    this.fixedSeed = null;
+  }
+
+  hasFixedSeed() {
+    return this.fixedSeed !== null;
+  }
+
+  // Each game asks for a fresh generator when it starts
+  startGame() {
+    const seed = this.hasFixedSeed() ? this.fixedSeed : this.generateSeed();
+    return this.createGenerator(seed);
+  }
+
+  createGenerator(seed) {
+    // mulberry32: small, fast and good enough for shuffling cards
+    let state = this.normalizeSeed(seed) || 0;
+
+    const next = () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+      seed: this.normalizeSeed(seed) || 0,
+      next,
+      nextInt: (max) => Math.floor(next() * max),
+      pick: (items) => items[Math.floor(next() * items.length)],
+      shuffle: (items) => {
+        for (let i = items.length - 1; i > 0; i--) {
+          const j = Math.floor(next() * (i + 1));
+          [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+      },
+    };
+  }
+}
+
+// Initialize random manager
+window.randomManager = new RandomManager();
@@ -0,0 +1,251 @@
+// MemoryPal - Storage Adapters
+// StorageManager keeps its data in memory and hands it to one of these
+// backends to persist. Every adapter offers the same interface:
+//   open()                      resolves once the backend can be used
+//   load()                      resolves to { data, sessions } or null
+//   save(data, sessions, changed)
+//                               writes data (without sessions) and the
+//                               sessions in `changed`, or every session when
+//                               `changed` is null; resolves to false if the
+//                               write failed
+//   querySessions({ gameType, from, to })
+//                               resolves to matching sessions, oldest first
+//   flush()                     resolves once queued writes have finished
+//   clear()                     removes everything the adapter stored
+// Each adapter instance holds the data of one profile.
+class LocalStorageAdapter {
+  constructor(key = "memorypal-data") {
+    this.name = "localStorage";
+    this.key = key;
+    this.sessions = [];
+  }
+
+  open() {
+    return Promise.resolve();
+  }
+
+  load() {
+    try {
+      const stored = localStorage.getItem(this.key);
+      if (!stored) return Promise.resolve(null);
+
+      const { sessions = [], ...data } = JSON.parse(stored);
+      this.sessions = sessions;
+      return Promise.resolve({ data, sessions });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  // localStorage holds everything under one key, so every save rewrites
+  // all sessions
+  save(data, sessions) {
+    try {
+      this.sessions = sessions;
+      localStorage.setItem(this.key, JSON.stringify({ ...data, sessions }));
+      return Promise.resolve(true);
+    } catch (error) {
+      console.error("Failed to save data:", error);
+      return Promise.resolve(false);
+    }
+  }
+
+  querySessions({ gameType = null, from = 0, to = Infinity } = {}) {
+    return Promise.resolve(
+      this.sessions.filter(
+        (s) =>
+          (!gameType || s.gameType === gameType) &&
+          s.startTime >= from &&
+          s.startTime <= to
+      )
+    );
+  }
+
+  flush() {
+    return Promise.resolve();
+  }
+
+  clear() {
+    localStorage.removeItem(this.key);
+    this.sessions = [];
+    return Promise.resolve();
+  }
+}
+
+// Sessions live in their own object store so each game adds one record
+// instead of rewriting the whole history. Profiles share the database:
+// data is keyed by profile id and every session carries its profileId.
+class IndexedDBAdapter {
+  constructor(profileId = "main", dbName = "memorypal", version = 2) {
+    this.name = "indexedDB";
+    this.profileId = profileId;
+    this.dbName = dbName;
+    this.version = version;
+    this.db = null;
+    this.pending = Promise.resolve();
+    // Called while an older tab keeps the database from upgrading
+    this.onblocked = null;
+  }
+
+  static isSupported() {
+    return typeof window.indexedDB !== "undefined" && window.indexedDB !== null;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      if (!IndexedDBAdapter.isSupported()) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const request = window.indexedDB.open(this.dbName, this.version);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore("data");
+          const sessions = db.createObjectStore("sessions", { keyPath: "id" });
+          sessions.createIndex("gameType", "gameType");
+          sessions.createIndex("date", "startTime");
+        }
+        if (event.oldVersion < 2) {
+          // Sessions saved before profiles belong to the first profile
+          const sessions = request.transaction.objectStore("sessions");
+          sessions.createIndex("profileId", "profileId");
+          sessions.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (!cursor.value.profileId) {
+              cursor.update({ ...cursor.value, profileId: "main" });
+            }
+            cursor.continue();
+          };
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+      // The upgrade goes ahead once the other tab closes
+      request.onblocked = () => this.onblocked?.();
+    });
+  }
+
+  load() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(["data", "sessions"]);
+      const dataRequest = transaction.objectStore("data").get(this.profileId);
+      const sessionRequest = transaction
+        .objectStore("sessions")
+        .index("profileId")
+        .getAll(this.profileId);
+
+      transaction.oncomplete = () => {
+        const sessions = sessionRequest.result.sort(
+          (a, b) => a.startTime - b.startTime
+        );
+        resolve(
+          dataRequest.result ? { data: dataRequest.result, sessions } : null
+        );
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Writes run one after another, so each save waits for the one before
+  save(data, sessions, changed) {
+    const saved = this.pending
+      .then(() => this.write(data, changed || sessions, changed === null))
+      .then(
+        () => true,
+        (error) => {
+          console.error("Failed to save data:", error);
+          return false;
+        }
+      );
+    this.pending = saved;
+    return saved;
+  }
+
+  flush() {
+    return this.pending;
+  }
+
+  write(data, sessions, replace = false) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        ["data", "sessions"],
+        "readwrite"
+      );
+      const sessionStore = transaction.objectStore("sessions");
+
+      transaction.objectStore("data").put(data, this.profileId);
+      const putSessions = () =>
+        sessions.forEach((session) =>
+          sessionStore.put({ ...session, profileId: this.profileId })
+        );
+      if (replace) {
+        this.deleteProfileSessions(sessionStore, putSessions);
+      } else {
+        putSessions();
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  querySessions({ gameType = null, from = 0, to = Infinity } = {}) {
+    return new Promise((resolve, reject) => {
+      const index = this.db
+        .transaction("sessions")
+        .objectStore("sessions")
+        .index("date");
+      const request = index.getAll(
+        IDBKeyRange.bound(from, to === Infinity ? Number.MAX_VALUE : to)
+      );
+
+      request.onsuccess = () =>
+        resolve(
+          request.result.filter(
+            (s) =>
+              s.profileId === this.profileId &&
+              (!gameType || s.gameType === gameType)
+          )
+        );
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  deleteProfileSessions(sessionStore, then = () => {}) {
+    const request = sessionStore
+      .index("profileId")
+      .openKeyCursor(IDBKeyRange.only(this.profileId));
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        sessionStore.delete(cursor.primaryKey);
+        cursor.continue();
+      } else {
+        then();
+      }
+    };
+  }
+
+  clear() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        ["data", "sessions"],
+        "readwrite"
+      );
+      transaction.objectStore("data").delete(this.profileId);
+      this.deleteProfileSessions(transaction.objectStore("sessions"));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
@@ -4,8 +4,108 @@ class StorageManager {
     this.storageKey = "memorypal-data";
     this.settingsKey = "memorypal-settings";
     this.statsKey = "memorypal-stats";
+    this.leaderboardSize = 10;
+    this.backupsKey = "memorypal-backups";
+    this.profilesKey = "memorypal-profiles";
+
+    // Each profile keeps its own data tree; the list of profiles is small
+    // and stays in localStorage so it can be read before anything loads
+    this.avatars = ["🙂", "😺", "🐶", "🦊", "🐼", "🌻", "⭐", "🚀"];
+    this.profiles = this.loadProfiles();
+
+    // Bump when the stored shape changes, and add a migration that
+    // upgrades data saved at the previous version
+    this.schemaVersion = 4;
+    this.migrations = [
+      {
+        version: 2,
+        description: "give sessions ids and add missing games",
+        migrate: (data) => {
+          data.sessions = (data.sessions || []).map((s) =>
+            this.withSessionId(s)
+          );
+          data.games = data.games || {};
+          Object.keys(this.defaultData.games).forEach((gameType) => {
+            if (!data.games[gameType]) {
+              data.games[gameType] = this.serialize(
+                this.defaultData.games[gameType]
+              );
+            }
+          });
+          return data;
+        },
+      },
+      {
+        version: 3,
+        description: "store custom decks and leaderboards as lists",
+        migrate: (data) => {
+          if (!Array.isArray(data.customDecks)) {
+            data.customDecks = Object.values(data.customDecks || {});
+          }
+          const matching = data.games.matching || {};
+          const leaderboards = matching.leaderboards || {};
+          ["memorize", "time-attack"].forEach((mode) => {
+            if (!Array.isArray(leaderboards[mode])) {
+              leaderboards[mode] = [];
+            }
+          });
+          matching.leaderboards = leaderboards;
+          data.games.matching = matching;
+          return data;
+        },
+      },
+      {
+        version: 4,
+        description: "tag the word chain vocabulary as a set",
+        migrate: (data) => {
+          const wordchain = data.games.wordchain || {};
+          if (Array.isArray(wordchain.vocabulary)) {
+            wordchain.vocabulary = {
+              $type: "Set",
+              values: wordchain.vocabulary,
+            };
+          }
+          return data;
+        },
+      },
+    ].sort((a, b) => a.version - b.version);
+
+    // Set when stored data could not be loaded, for the app to report
+    this.loadError = null;
+    // Shown while another tab keeps the database from opening
+    this.storageNotice = null;
+    this.lastImportError = null;
+    this.savingDisabled = false;
+
+    // Optional per-game details copied into the session when provided
+    this.sessionDetailFields = [
+      "correct",
+      "errors",
+      "responseTime",
+      "adaptation",
+      "padCount",
+      "recallRule",
+      "presentationMode",
+      "lives",
+      "livesLost",
+      "practice",
+      "events",
+      "seed",
+      "gridSize",
+      "pairs",
+      "theme",
+      "pairType",
+      "setSize",
+      "hints",
+      "efficiency",
+      "mode",
+      "previewSeconds",
+      "timeLimit",
+      "timeRemaining",
+    ];
 
     this.defaultData = {
+      schemaVersion: this.schemaVersion,
       user: {
         name: "",
         preferences: {},
@@ -19,6 +119,17 @@ class StorageManager {
           totalScore: 0,
           averageScore: 0,
           streaks: [],
+          recallBestLevels: {
+            forward: 1,
+            backward: 1,
+            "every-other": 1,
+            "last-n": 1,
+          },
+          modeRecords: {
+            combined: { highScore: 0, bestLevel: 1 },
+            "audio-only": { highScore: 0, bestLevel: 1 },
+            "visual-only": { highScore: 0, bestLevel: 1 },
+          },
         },
         matching: {
           highScore: 0,
@@ -26,6 +137,17 @@ class StorageManager {
           fewestMoves: null,
           totalGames: 0,
           completionRate: 0,
+          concept: {
+            highScore: 0,
+            bestTime: null,
+            fewestMoves: null,
+            totalGames: 0,
+            completionRate: 0,
+          },
+          leaderboards: {
+            memorize: [],
+            "time-attack": [],
+          },
         },
         patterns: {
           highScore: 0,
@@ -42,6 +164,7 @@ class StorageManager {
       },
       achievements: [],
       sessions: [],
+      customDecks: [],
       progress: {
         totalPlayTime: 0,
         gamesPlayed: 0,
@@ -51,34 +174,360 @@ class StorageManager {
       },
     };
 
-    this.data = this.loadData();
-    this.setupAutoSave();
+    // Sessions added or finished since the last save; when the whole
+    // history has been replaced every session is written again
+    this.changedSessions = new Set();
+    this.sessionsReplaced = false;
+
+    this.adapter = null;
+
+    // Protected files ask for their passphrase through requestPassphrase,
+    // which resolves to the passphrase or null; the app shows its own
+    // dialog in place of the browser prompt
+    this.cipher = new PassphraseCipher();
+    this.requestPassphrase = (message) =>
+      Promise.resolve(window.prompt(message));
+    this.data = this.cloneData(this.defaultData);
+
+    // Games wait for this before reading preferences or stats
+    this.ready = this.loadData().then(() => this.setupAutoSave());
+  }
+
+  loadProfiles() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.profilesKey));
+      if (stored && stored.profiles && stored.profiles.length > 0) {
+        if (!stored.profiles.some((p) => p.id === stored.activeProfileId)) {
+          stored.activeProfileId = stored.profiles[0].id;
+        }
+        return stored;
+      }
+    } catch (error) {
+      console.warn("Failed to load profiles:", error);
+    }
+
+    // Data saved before profiles existed becomes the first profile
+    return {
+      activeProfileId: "main",
+      profiles: [
+        {
+          id: "main",
+          name: "Me",
+          avatar: this.avatars[0],
+          created: Date.now(),
+        },
+      ],
+    };
+  }
+
+  saveProfiles() {
+    try {
+      localStorage.setItem(this.profilesKey, JSON.stringify(this.profiles));
+      return true;
+    } catch (error) {
+      console.error("Failed to save profiles:", error);
+      return false;
+    }
+  }
+
+  getProfiles() {
+    return this.profiles.profiles;
+  }
+
+  getProfile(id) {
+    return this.getProfiles().find((p) => p.id === id) || null;
+  }
+
+  getActiveProfile() {
+    return this.getProfile(this.profiles.activeProfileId);
+  }
+
+  // The first profile keeps the original key
+  getStorageKey(profileId) {
+    return profileId === "main"
+      ? this.storageKey
+      : `${this.storageKey}-${profileId}`;
+  }
+
+  createProfile(name, avatar) {
+    const trimmed = (name || "").trim();
+    if (!trimmed) {
+      throw new Error("Please give the profile a name.");
+    }
+    if (trimmed.length > 30) {
+      throw new Error("Profile names can be at most 30 characters.");
+    }
+    if (
+      this.getProfiles().some(
+        (p) => p.name.toLowerCase() === trimmed.toLowerCase()
+      )
+    ) {
+      throw new Error(`There is already a profile called "${trimmed}".`);
+    }
+
+    const profile = {
+      id: `profile-${this.createSessionId()}`,
+      name: trimmed,
+      avatar: this.avatars.includes(avatar) ? avatar : this.avatars[0],
+      created: Date.now(),
+    };
+    this.profiles.profiles.push(profile);
+    if (!this.saveProfiles()) {
+      this.profiles.profiles.pop();
+      throw new Error("The profile could not be saved. Storage may be full.");
+    }
+    return profile;
+  }
+
+  // Saves the current profile first; the page reloads afterwards so every
+  // game starts again with the new profile's settings
+  async switchProfile(id) {
+    if (!this.getProfile(id)) {
+      throw new Error("That profile no longer exists.");
+    }
+
+    await this.flush();
+    this.profiles.activeProfileId = id;
+    this.saveProfiles();
+    return this.getProfile(id);
+  }
+
+  async deleteProfile(id) {
+    const profile = this.getProfile(id);
+    if (!profile) return false;
+    if (id === this.profiles.activeProfileId) {
+      throw new Error("Switch to another profile before deleting this one.");
+    }
+
+    const adapter = await this.openAdapter(id);
+    await adapter.clear();
+
+    this.profiles.profiles = this.getProfiles().filter((p) => p.id !== id);
+    this.saveProfiles();
+    this.writeBackups(
+      this.readBackups().filter((b) => this.getBackupProfile(b) !== id)
+    );
+    return true;
+  }
+
+  // With a passphrase the export is encrypted
+  async exportProfile(id, passphrase = null) {
+    const json = await this.buildProfileExport(id);
+    return passphrase ? this.cipher.encrypt(json, passphrase) : json;
+  }
+
+  async buildProfileExport(id) {
+    if (id === this.profiles.activeProfileId) {
+      return this.exportData();
+    }
+
+    const profile = this.getProfile(id);
+    if (!profile) {
+      throw new Error("That profile no longer exists.");
+    }
+
+    const adapter = await this.openAdapter(id);
+    const stored = await adapter.load();
+    const data = stored
+      ? this.migrateData({ ...stored.data, sessions: stored.sessions })
+      : this.serialize(this.defaultData);
+    return this.buildExport(data, profile);
+  }
+
+  async flush() {
+    const saved = await this.saveData();
+    if (this.adapter) {
+      await this.adapter.flush();
+    }
+    return saved;
+  }
+
+  // IndexedDB is used where available, with localStorage as the fallback
+  async openAdapter(profileId = this.profiles.activeProfileId) {
+    if (IndexedDBAdapter.isSupported()) {
+      const adapter = new IndexedDBAdapter(profileId);
+      adapter.onblocked = () =>
+        this.showStorageNotice(
+          "MemoryPal is open in another tab. Close that tab to finish loading your progress."
+        );
+      try {
+        await adapter.open();
+        this.hideStorageNotice();
+        return adapter;
+      } catch (error) {
+        console.warn("IndexedDB unavailable, using localStorage:", error);
+      }
+    }
+
+    const fallback = new LocalStorageAdapter(this.getStorageKey(profileId));
+    await fallback.open();
+    return fallback;
+  }
+
+  showStorageNotice(message) {
+    if (!this.storageNotice) {
+      this.storageNotice = document.createElement("div");
+      this.storageNotice.className = "storage-notice";
+      this.storageNotice.setAttribute("role", "alert");
+      this.storageNotice.style.cssText = `
+            position: fixed;
+            top: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            background: #d97706;
+            color: white;
+            padding: 1rem 2rem;
+            border-radius: 8px;
+            z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+        `;
+      document.body.appendChild(this.storageNotice);
+    }
+    this.storageNotice.textContent = message;
+  }
+
+  hideStorageNotice() {
+    this.storageNotice?.remove();
+    this.storageNotice = null;
   }
 
-  loadData() {
+  async loadData() {
     try {
-      const stored = localStorage.getItem(this.storageKey);
+      this.adapter = await this.openAdapter();
+      const stored =
+        (await this.adapter.load()) || (await this.migrateFromLocalStorage());
+
       if (stored) {
-        const parsed = JSON.parse(stored);
-        return this.mergeWithDefaults(parsed, this.defaultData);
+        const upgraded = this.upgradeLoadedData({
+          ...stored.data,
+          sessions: stored.sessions,
+        });
+        this.data = this.mergeWithDefaults(
+          this.deserialize(upgraded),
+          this.defaultData
+        );
       }
     } catch (error) {
       console.warn("Failed to load stored data:", error);
     }
 
-    return JSON.parse(JSON.stringify(this.defaultData));
+    return this.data;
+  }
+
+  // Copies data saved under the old single localStorage key into a new
+  // backend once, and frees the key when the copy has been written
+  async migrateFromLocalStorage() {
+    if (this.adapter instanceof LocalStorageAdapter) return null;
+
+    const key = this.getStorageKey(this.profiles.activeProfileId);
+    const legacy = await new LocalStorageAdapter(key).load();
+    if (!legacy) return null;
+
+    const sessions = legacy.sessions.map((s) => this.withSessionId(s));
+    try {
+      await this.adapter.write(legacy.data, sessions, true);
+      localStorage.removeItem(key);
+    } catch (error) {
+      // Keep using the old key rather than losing anything
+      console.warn("Migration to IndexedDB failed:", error);
+      this.adapter = new LocalStorageAdapter(key);
+    }
+
+    return { data: legacy.data, sessions };
+  }
+
+  // Runs every migration newer than the data's version, in order, on a
+  // copy so the original is untouched if one of them fails. Migrations see
+  // the serialized form, with Sets and Maps still tagged.
+  migrateData(data) {
+    const fromVersion = data.schemaVersion || 1;
+    if (fromVersion > this.schemaVersion) {
+      throw new Error(
+        `This data was saved by a newer version of MemoryPal (data version ${fromVersion}, this app supports ${this.schemaVersion}).`
+      );
+    }
+
+    let migrated = JSON.parse(JSON.stringify(data));
+    this.migrations
+      .filter((migration) => migration.version > fromVersion)
+      .forEach((migration) => {
+        try {
+          migrated = migration.migrate(migrated) || migrated;
+          migrated.schemaVersion = migration.version;
+        } catch (error) {
+          throw new Error(
+            `Could not upgrade saved data to version ${migration.version} (${migration.description}): ${error.message}`
+          );
+        }
+      });
+
+    migrated.schemaVersion = this.schemaVersion;
+    return migrated;
+  }
+
+  // A failed upgrade keeps the original data as a backup and starts fresh.
+  // If even the backup can't be written, nothing is saved over the data.
+  upgradeLoadedData(raw) {
+    try {
+      const migrated = this.migrateData(raw);
+      if ((raw.schemaVersion || 1) !== migrated.schemaVersion) {
+        this.sessionsReplaced = true;
+      }
+      return migrated;
+    } catch (error) {
+      console.error("Failed to migrate stored data:", error);
+
+      const backedUp = this.storeBackup({
+        timestamp: Date.now(),
+        reason: error.message,
+        data: JSON.stringify({
+          version: "1.0",
+          exportDate: new Date().toISOString(),
+          data: raw,
+        }),
+      });
+
+      this.savingDisabled = !backedUp;
+      this.loadError = backedUp
+        ? `Your saved progress could not be updated, so MemoryPal started fresh. A backup of the old data was kept. ${error.message}`
+        : `Your saved progress could not be updated and could not be backed up, so nothing will be saved until this is fixed. ${error.message}`;
+
+      return this.serialize(this.defaultData);
+    }
+  }
+
+  withSessionId(session) {
+    return session.id ? session : { ...session, id: this.createSessionId() };
+  }
+
+  createSessionId() {
+    return `${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+  }
+
+  markSessionChanged(session) {
+    this.changedSessions.add(session);
+  }
+
+  // For imports and restores that swap out the whole history
+  replaceAllSessions() {
+    this.data.sessions = this.data.sessions.map((s) => this.withSessionId(s));
+    this.sessionsReplaced = true;
+  }
+
+  querySessions(query = {}) {
+    return this.adapter
+      ? this.adapter.querySessions(query)
+      : Promise.resolve([]);
   }
 
   mergeWithDefaults(stored, defaults) {
-    const merged = { ...defaults };
+    const merged = this.cloneData(defaults);
 
     for (const key in stored) {
       if (stored.hasOwnProperty(key)) {
-        if (
-          typeof stored[key] === "object" &&
-          stored[key] !== null &&
-          !Array.isArray(stored[key])
-        ) {
+        if (this.isPlainObject(stored[key])) {
           merged[key] = this.mergeWithDefaults(
             stored[key],
             defaults[key] || {}
@@ -92,40 +541,118 @@ class StorageManager {
     return merged;
   }
 
-  saveData() {
+  // Resolves to false when the write fails, e.g. when storage is full.
+  // Sessions leave the queue while they are written and go back on it if
+  // the write fails, so the next save retries them.
+  async saveData() {
+    if (!this.adapter || this.savingDisabled) return false;
+
+    const pending = [...this.changedSessions];
+    const replaced = this.sessionsReplaced;
+    this.changedSessions.clear();
+    this.sessionsReplaced = false;
+
+    let saved = false;
     try {
-      // Convert Set objects to arrays for storage
-      const dataToStore = this.prepareForStorage(this.data);
-      localStorage.setItem(this.storageKey, JSON.stringify(dataToStore));
-      return true;
+      const { sessions, ...dataToStore } = this.serialize(this.data);
+      const changed = replaced ? null : pending.map((s) => this.serialize(s));
+
+      saved = await this.adapter.save(dataToStore, sessions, changed);
     } catch (error) {
       console.error("Failed to save data:", error);
-      return false;
     }
-  }
-
-  prepareForStorage(obj) {
-    const prepared = {};
 
-    for (const key in obj) {
-      if (obj.hasOwnProperty(key)) {
-        const value = obj[key];
+    if (!saved) {
+      pending.forEach((s) => this.changedSessions.add(s));
+      this.sessionsReplaced = this.sessionsReplaced || replaced;
+    }
+    return saved;
+  }
 
-        if (value instanceof Set) {
-          prepared[key] = Array.from(value);
-        } else if (
-          typeof value === "object" &&
-          value !== null &&
-          !Array.isArray(value)
+  // Turns data into plain JSON values. Sets, Maps and Dates become tagged
+  // objects ({ $type: "Set", values: [...] }) so deserialize can restore
+  // them with the same type; functions are dropped as JSON would.
+  serialize(value) {
+    if (value instanceof Set) {
+      return { $type: "Set", values: [...value].map((v) => this.serialize(v)) };
+    }
+    if (value instanceof Map) {
+      return {
+        $type: "Map",
+        entries: [...value].map(([k, v]) => [
+          this.serialize(k),
+          this.serialize(v),
+        ]),
+      };
+    }
+    if (value instanceof Date) {
+      return { $type: "Date", value: value.toISOString() };
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) =>
+        typeof item === "function" ? null : this.serialize(item)
+      );
+    }
+    if (typeof value === "object" && value !== null) {
+      const serialized = {};
+      for (const key in value) {
+        if (
+          Object.prototype.hasOwnProperty.call(value, key) &&
+          typeof value[key] !== "function" &&
+          value[key] !== undefined
         ) {
-          prepared[key] = this.prepareForStorage(value);
-        } else {
-          prepared[key] = value;
+          serialized[key] = this.serialize(value[key]);
         }
       }
+      return serialized;
+    }
+    return value;
+  }
+
+  deserialize(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.deserialize(item));
+    }
+    if (!this.isPlainObject(value)) {
+      return value;
     }
 
-    return prepared;
+    switch (value.$type) {
+      case "Set":
+        return new Set(value.values.map((v) => this.deserialize(v)));
+      case "Map":
+        return new Map(
+          value.entries.map(([k, v]) => [
+            this.deserialize(k),
+            this.deserialize(v),
+          ])
+        );
+      case "Date":
+        return new Date(value.value);
+    }
+
+    const restored = {};
+    for (const key in value) {
+      if (Object.prototype.hasOwnProperty.call(value, key)) {
+        restored[key] = this.deserialize(value[key]);
+      }
+    }
+    return restored;
+  }
+
+  isPlainObject(value) {
+    return (
+      typeof value === "object" &&
+      value !== null &&
+      !Array.isArray(value) &&
+      !(value instanceof Set) &&
+      !(value instanceof Map) &&
+      !(value instanceof Date)
+    );
+  }
+
+  cloneData(value) {
+    return this.deserialize(this.serialize(value));
   }
 
   setupAutoSave() {
@@ -148,8 +675,11 @@ class StorageManager {
   }
 
   // Game Statistics
-  recordGameStart(gameType) {
+  // Practice games are kept in the history but don't count towards the
+  // game's totals, records, achievements or streaks
+  recordGameStart(gameType, { practice = false, pairType = null } = {}) {
     const session = {
+      id: this.createSessionId(),
       gameType,
       startTime: Date.now(),
       endTime: null,
@@ -158,9 +688,17 @@ class StorageManager {
       moves: 0,
       completed: false,
     };
+    if (pairType) {
+      session.pairType = pairType;
+    }
+    if (practice) {
+      session.practice = true;
+    } else {
+      this.getRecordStats(this.data.games, session).totalGames++;
+    }
 
     this.data.sessions.push(session);
-    this.data.games[gameType].totalGames++;
+    this.markSessionChanged(session);
     this.data.progress.gamesPlayed++;
     this.data.progress.lastPlayed = Date.now();
 
@@ -174,17 +712,76 @@ class StorageManager {
       session.score = gameData.score || 0;
       session.level = gameData.level || 1;
       session.moves = gameData.moves || 0;
+      this.sessionDetailFields.forEach((field) => {
+        if (gameData[field] !== undefined) {
+          session[field] = gameData[field];
+        }
+      });
       session.completed = gameData.completed || false;
+      this.markSessionChanged(session);
 
       const playTime = session.endTime - session.startTime;
       this.data.progress.totalPlayTime += playTime;
     }
 
+    if (gameData.practice) {
+      return;
+    }
+
     this.updateGameStats(gameType, gameData);
     this.checkAchievements(gameType, gameData);
     this.updateStreak(gameData.completed);
   }
 
+  // Saves one finished session per player of a shared game. The sessions
+  // carry the same linkId and stay out of the single-player records.
+  recordLinkedGame(gameType, gameData, players) {
+    const endTime = Date.now();
+    const linkId = `${gameType}-${gameData.startTime}`;
+
+    const sessions = players.map((player, index) => {
+      const session = {
+        id: this.createSessionId(),
+        gameType,
+        startTime: gameData.startTime,
+        endTime,
+        score: player.score || 0,
+        level: 1,
+        moves: player.moves || 0,
+        completed: gameData.completed || false,
+        linkId,
+        playerIndex: index,
+        player: player.player,
+        sets: player.sets || 0,
+        won: player.won || false,
+      };
+      this.sessionDetailFields.forEach((field) => {
+        if (gameData[field] !== undefined) {
+          session[field] = gameData[field];
+        }
+      });
+      return session;
+    });
+
+    this.data.sessions.push(...sessions);
+    sessions.forEach((session) => this.markSessionChanged(session));
+    this.getRecordStats(this.data.games, sessions[0]).totalGames++;
+    this.data.progress.gamesPlayed++;
+    this.data.progress.lastPlayed = endTime;
+    this.data.progress.totalPlayTime += endTime - gameData.startTime;
+    this.updateStreak(gameData.completed);
+
+    return sessions;
+  }
+
+  getLinkedSessions(linkId) {
+    return this.data.sessions.filter((s) => s.linkId === linkId);
+  }
+
+  isLinkedSession(session) {
+    return Boolean(session.linkId);
+  }
+
   updateGameStats(gameType, gameData) {
     const stats = this.data.games[gameType];
 
@@ -196,6 +793,22 @@ class StorageManager {
         if (gameData.level > stats.bestLevel) {
           stats.bestLevel = gameData.level;
         }
+        if (gameData.recallRule) {
+          const ruleBest = stats.recallBestLevels[gameData.recallRule] || 1;
+          stats.recallBestLevels[gameData.recallRule] = Math.max(
+            ruleBest,
+            gameData.level
+          );
+        }
+        if (gameData.presentationMode) {
+          const record = stats.modeRecords[gameData.presentationMode] || {
+            highScore: 0,
+            bestLevel: 1,
+          };
+          record.highScore = Math.max(record.highScore, gameData.score);
+          record.bestLevel = Math.max(record.bestLevel, gameData.level);
+          stats.modeRecords[gameData.presentationMode] = record;
+        }
         stats.totalScore += gameData.score;
         stats.averageScore = Math.round(stats.totalScore / stats.totalGames);
 
@@ -205,23 +818,33 @@ class StorageManager {
         break;
 
       case "matching":
-        if (gameData.score > stats.highScore) {
-          stats.highScore = gameData.score;
+        // Memorize-first and time-attack games only rank on their own
+        // leaderboards
+        if (gameData.mode && gameData.mode !== "free") {
+          if (gameData.completed) {
+            this.addToLeaderboard(stats.leaderboards, gameData.mode, {
+              score: gameData.score,
+              moves: gameData.moves,
+              time: gameData.time,
+              gridSize: gameData.gridSize,
+              setSize: gameData.setSize,
+              timeRemaining: gameData.timeRemaining,
+              date: Date.now(),
+            });
+          }
+          break;
         }
-        if (
-          gameData.time &&
-          (!stats.bestTime || gameData.time < stats.bestTime)
-        ) {
-          stats.bestTime = gameData.time;
-        }
-        if (
-          gameData.moves &&
-          (!stats.fewestMoves || gameData.moves < stats.fewestMoves)
-        ) {
-          stats.fewestMoves = gameData.moves;
-        }
-        if (gameData.completed) {
-          stats.completionRate = this.calculateCompletionRate(gameType);
+        // Concept-pair games keep their own records
+        if (gameData.pairType === "concept") {
+          this.updateMatchingStats(stats.concept, gameData, (s) =>
+            this.isConceptSession(s)
+          );
+        } else {
+          this.updateMatchingStats(
+            stats,
+            gameData,
+            (s) => !this.isConceptSession(s)
+          );
         }
         break;
 
@@ -251,8 +874,52 @@ class StorageManager {
     }
   }
 
-  calculateCompletionRate(gameType) {
-    const sessions = this.data.sessions.filter((s) => s.gameType === gameType);
+  updateMatchingStats(stats, gameData, sessionFilter) {
+    if (gameData.score > stats.highScore) {
+      stats.highScore = gameData.score;
+    }
+    if (gameData.time && (!stats.bestTime || gameData.time < stats.bestTime)) {
+      stats.bestTime = gameData.time;
+    }
+    if (
+      gameData.moves &&
+      (!stats.fewestMoves || gameData.moves < stats.fewestMoves)
+    ) {
+      stats.fewestMoves = gameData.moves;
+    }
+    if (gameData.completed) {
+      stats.completionRate = this.calculateCompletionRate(
+        "matching",
+        sessionFilter
+      );
+    }
+  }
+
+  addToLeaderboard(leaderboards, mode, entry) {
+    const entries = [...(leaderboards[mode] || []), entry];
+    entries.sort((a, b) => b.score - a.score || a.time - b.time);
+    leaderboards[mode] = entries.slice(0, this.leaderboardSize);
+  }
+
+  getMatchingLeaderboard(mode) {
+    return this.data.games.matching.leaderboards[mode] || [];
+  }
+
+  isConceptSession(session) {
+    return session.pairType === "concept";
+  }
+
+  // Concept-pair games count toward their own records, not the game's
+  getRecordStats(games, session) {
+    const stats = games[session.gameType];
+    return stats && this.isConceptSession(session) ? stats.concept : stats;
+  }
+
+  calculateCompletionRate(gameType, sessionFilter = () => true) {
+    const sessions = this.data.sessions.filter(
+      (s) =>
+        s.gameType === gameType && !this.isLinkedSession(s) && sessionFilter(s)
+    );
     const completed = sessions.filter((s) => s.completed).length;
     return sessions.length > 0
       ? Math.round((completed / sessions.length) * 100)
@@ -260,15 +927,92 @@ class StorageManager {
   }
 
   calculateAccuracy(gameType) {
-    const sessions = this.data.sessions.filter((s) => s.gameType === gameType);
+    const sessions = this.data.sessions.filter(
+      (s) => s.gameType === gameType && !s.practice
+    );
     if (sessions.length === 0) return 0;
 
     const totalMoves = sessions.reduce((sum, s) => sum + (s.moves || 0), 0);
-    const correctMoves = sessions.reduce((sum, s) => sum + (s.score || 0), 0);
+    const correctMoves = sessions.reduce(
+      (sum, s) => sum + (s.correct ?? s.score ?? 0),
+      0
+    );
 
     return totalMoves > 0 ? Math.round((correctMoves / totalMoves) * 100) : 0;
   }
 
+  getRecentPerformance(gameType, limit = 5) {
+    const sessions = this.data.sessions
+      .filter(
+        (s) =>
+          s.gameType === gameType &&
+          s.endTime &&
+          !s.practice &&
+          !this.isLinkedSession(s)
+      )
+      .slice(-limit);
+
+    const tracked = sessions.filter(
+      (s) => s.moves > 0 && s.errors !== undefined
+    );
+    const totalMoves = tracked.reduce((sum, s) => sum + s.moves, 0);
+    const totalErrors = tracked.reduce((sum, s) => sum + s.errors, 0);
+
+    const timed = sessions.filter((s) => s.responseTime > 0);
+    const averageResponseTime =
+      timed.length > 0
+        ? Math.round(
+            timed.reduce((sum, s) => sum + s.responseTime, 0) / timed.length
+          )
+        : null;
+
+    const averageLevel =
+      sessions.length > 0
+        ? sessions.reduce((sum, s) => sum + (s.level || 1), 0) / sessions.length
+        : null;
+
+    const completed = sessions.filter((s) => s.completed);
+    const completionRate =
+      sessions.length > 0 ? completed.length / sessions.length : null;
+
+    // Per-pair rates only make sense for finished matching games
+    const paired = completed.filter((s) => s.pairs > 0);
+    const totalPairs = paired.reduce((sum, s) => sum + s.pairs, 0);
+    const movesPerPair =
+      totalPairs > 0
+        ? paired.reduce((sum, s) => sum + s.moves, 0) / totalPairs
+        : null;
+    const secondsPerPair =
+      totalPairs > 0
+        ? paired.reduce((sum, s) => sum + (s.endTime - s.startTime), 0) /
+          1000 /
+          totalPairs
+        : null;
+
+    return {
+      sessionCount: sessions.length,
+      errorRate: totalMoves > 0 ? totalErrors / totalMoves : null,
+      averageResponseTime,
+      averageLevel,
+      completionRate,
+      movesPerPair,
+      secondsPerPair,
+    };
+  }
+
+  // Per-input event traces recorded by the games, oldest first
+  getEventTraces(gameType, limit = null) {
+    const traced = this.data.sessions.filter(
+      (s) => (!gameType || s.gameType === gameType) && Array.isArray(s.events)
+    );
+
+    return (limit ? traced.slice(-limit) : traced).map((s) => ({
+      gameType: s.gameType,
+      startTime: s.startTime,
+      events: s.events.map((event) => ({ ...event })),
+    }));
+  }
+
   updateStreak(completed) {
     if (completed) {
       this.data.progress.streak++;
@@ -424,8 +1168,9 @@ class StorageManager {
     this.saveData();
   }
 
+  // Saved falsy values such as 0 or false are returned as they are
   getUserPreference(key, defaultValue = null) {
-    return this.data.user.preferences[key] || defaultValue;
+    return this.data.user.preferences[key] ?? defaultValue;
   }
 
   saveAccessibilitySettings(settings) {
@@ -440,33 +1185,373 @@ class StorageManager {
     return this.data.user.accessibility;
   }
 
+  // Custom matching decks
+  getCustomDecks() {
+    return this.data.customDecks || [];
+  }
+
+  getCustomDeck(id) {
+    return this.getCustomDecks().find((deck) => deck.id === id) || null;
+  }
+
+  async saveCustomDeck(deck) {
+    const previous = this.data.customDecks;
+    const decks = this.getCustomDecks().filter((d) => d.id !== deck.id);
+    const saved = { ...deck, updated: Date.now() };
+    decks.push(saved);
+    this.data.customDecks = decks;
+
+    // Photos can be large, so report when they don't fit in storage and
+    // keep the decks that were there before
+    if (await this.saveData()) return saved;
+    this.data.customDecks = previous;
+    return null;
+  }
+
+  deleteCustomDeck(id) {
+    this.data.customDecks = this.getCustomDecks().filter((d) => d.id !== id);
+    return this.saveData();
+  }
+
   // Data Export/Import
   exportData() {
+    return this.buildExport(this.serialize(this.data), this.getActiveProfile());
+  }
+
+  buildExport(data, profile) {
     const exportData = {
       version: "1.0",
+      schemaVersion: this.schemaVersion,
       exportDate: new Date().toISOString(),
-      data: this.prepareForStorage(this.data),
+      profile: profile
+        ? { name: profile.name, avatar: profile.avatar }
+        : undefined,
+      data,
     };
 
     return JSON.stringify(exportData, null, 2);
   }
 
-  importData(jsonString) {
-    try {
-      const imported = JSON.parse(jsonString);
+  // Imported files are checked and upgraded before anything changes. In
+  // "replace" mode the file takes the place of the current data; "merge"
+  // keeps the current data and adds what the file has on top.
+  // On failure the current data is kept and the reason is left in
+  // lastImportError.
+  async importData(text, mode = "replace") {
+    this.lastImportError = null;
 
-      if (imported.version && imported.data) {
-        this.data = this.mergeWithDefaults(imported.data, this.defaultData);
-        this.saveData();
-        return true;
-      }
+    try {
+      const jsonString = await this.unlockImport(text);
+      const imported = this.parseImport(jsonString);
+      const previous = this.data;
+      this.data = this.buildImportedData(imported.data, mode);
+      this.replaceAllSessions();
+      if (await this.saveData()) return true;
+
+      // Keep the progress that is still in storage
+      this.data = previous;
+      this.lastImportError =
+        "The imported progress could not be saved. Storage may be full.";
+      return false;
     } catch (error) {
       console.error("Failed to import data:", error);
+      this.lastImportError = error.message;
     }
 
     return false;
   }
 
+  // Protected files ask for their passphrase; plain ones pass through
+  async unlockImport(text) {
+    if (!this.cipher.isEncrypted(text)) {
+      return text;
+    }
+
+    const passphrase = await this.requestPassphrase(
+      "This file is protected. Enter its passphrase to open it."
+    );
+    if (!passphrase) {
+      throw new Error("The file is protected and no passphrase was given.");
+    }
+    return this.cipher.decrypt(text, passphrase);
+  }
+
+  // Describes what importing would change without changing anything;
+  // throws with a readable message if the file can't be imported
+  previewImport(jsonString, mode = "replace") {
+    const imported = this.parseImport(jsonString);
+    const result = this.buildImportedData(imported.data, mode);
+
+    return {
+      mode,
+      profile: imported.profile,
+      exportDate: imported.exportDate,
+      ...this.describeImportChanges(this.data, result),
+    };
+  }
+
+  parseImport(jsonString) {
+    let imported;
+    try {
+      imported = JSON.parse(jsonString);
+    } catch (error) {
+      throw new Error(
+        "This file isn't valid JSON, so it can't be a MemoryPal export."
+      );
+    }
+
+    const problems = this.validateImport(imported);
+    if (problems.length > 0) {
+      throw new Error(`This file can't be imported. ${problems.join(" ")}`);
+    }
+
+    const migrated = this.migrateData(imported.data);
+    const data = this.mergeWithDefaults(
+      this.deserialize(migrated),
+      this.defaultData
+    );
+
+    // Profiles share one session store, so imported sessions get ids of
+    // their own instead of overwriting the profile they were exported from
+    data.sessions = data.sessions.map(({ profileId, ...session }) => ({
+      ...session,
+      id: this.createSessionId(),
+    }));
+
+    return {
+      profile: this.isPlainObject(imported.profile) ? imported.profile : null,
+      exportDate: imported.exportDate || null,
+      data,
+    };
+  }
+
+  // Checks the shape every data version shares; returns readable problems
+  validateImport(imported) {
+    if (!this.isPlainObject(imported)) {
+      return ["It doesn't look like a MemoryPal export."];
+    }
+    if (!imported.version) {
+      return [
+        "It has no version number, so it doesn't look like a MemoryPal export.",
+      ];
+    }
+    if (!this.isPlainObject(imported.data)) {
+      return ["It has no progress data in it."];
+    }
+
+    const data = imported.data;
+    const problems = [];
+    const isNumber = (value) =>
+      typeof value === "number" && Number.isFinite(value);
+
+    if (
+      data.schemaVersion !== undefined &&
+      !(Number.isInteger(data.schemaVersion) && data.schemaVersion > 0)
+    ) {
+      problems.push("Its data version isn't a whole number.");
+    }
+
+    if (data.games !== undefined) {
+      if (!this.isPlainObject(data.games)) {
+        problems.push("Its game records aren't in the expected format.");
+      } else {
+        Object.entries(data.games).forEach(([gameType, stats]) => {
+          if (!this.isPlainObject(stats)) {
+            problems.push(`The records for "${gameType}" are unreadable.`);
+          } else if (
+            stats.highScore !== undefined &&
+            !(isNumber(stats.highScore) && stats.highScore >= 0)
+          ) {
+            problems.push(`The high score for "${gameType}" isn't a number.`);
+          }
+        });
+      }
+    }
+
+    if (data.sessions !== undefined) {
+      if (!Array.isArray(data.sessions)) {
+        problems.push("Its game history isn't a list.");
+      } else {
+        data.sessions.forEach((session, index) => {
+          const label = `Game ${index + 1} in the history`;
+          if (!this.isPlainObject(session)) {
+            problems.push(`${label} is unreadable.`);
+          } else if (typeof session.gameType !== "string") {
+            problems.push(`${label} doesn't say which game was played.`);
+          } else if (!isNumber(session.startTime)) {
+            problems.push(`${label} has no start time.`);
+          }
+        });
+      }
+    }
+
+    if (data.achievements !== undefined) {
+      if (!Array.isArray(data.achievements)) {
+        problems.push("Its achievements aren't a list.");
+      } else if (
+        data.achievements.some(
+          (a) => !this.isPlainObject(a) || typeof a.id !== "string"
+        )
+      ) {
+        problems.push("Some of its achievements are unreadable.");
+      }
+    }
+
+    if (data.progress !== undefined && !this.isPlainObject(data.progress)) {
+      problems.push("Its overall progress isn't in the expected format.");
+    }
+
+    // A damaged file can have a problem in every session; the first few
+    // are enough to tell what went wrong
+    if (problems.length > 5) {
+      const more = problems.length - 5;
+      return [
+        ...problems.slice(0, 5),
+        `…and ${more} more problem${more === 1 ? "" : "s"}.`,
+      ];
+    }
+    return problems;
+  }
+
+  buildImportedData(incoming, mode) {
+    if (mode === "merge") {
+      return this.mergeData(this.data, incoming);
+    }
+    if (mode === "restore") {
+      return { ...incoming, sessions: this.data.sessions };
+    }
+    if (mode !== "replace") {
+      throw new Error(`Unknown import mode "${mode}".`);
+    }
+    return incoming;
+  }
+
+  // Sessions of a shared game start together, so the player tells them
+  // apart
+  getSessionKey(session) {
+    return `${session.startTime}:${session.playerIndex || 0}`;
+  }
+
+  // Adds the sessions, achievements and decks the current data doesn't
+  // have, keeps the best of each record and learns every word from both.
+  // Everything else, including preferences, stays as it is.
+  mergeData(current, incoming) {
+    const merged = this.cloneData(current);
+
+    const known = new Set(merged.sessions.map((s) => this.getSessionKey(s)));
+    const added = incoming.sessions.filter(
+      (s) => !known.has(this.getSessionKey(s))
+    );
+    merged.sessions = [...merged.sessions, ...this.cloneData(added)].sort(
+      (a, b) => a.startTime - b.startTime
+    );
+
+    // Players of a shared game add one game between them
+    const addedGames = new Map();
+    added.forEach((s) => addedGames.set(s.linkId || s.id, s));
+    addedGames.forEach((session) => {
+      const stats = this.getRecordStats(merged.games, session);
+      if (stats && !session.practice) {
+        stats.totalGames++;
+      }
+      merged.progress.gamesPlayed++;
+      if (session.endTime) {
+        merged.progress.totalPlayTime += session.endTime - session.startTime;
+      }
+    });
+    merged.progress.lastPlayed =
+      Math.max(
+        merged.progress.lastPlayed || 0,
+        incoming.progress.lastPlayed || 0
+      ) || null;
+    merged.progress.longestStreak = Math.max(
+      merged.progress.longestStreak,
+      incoming.progress.longestStreak || 0
+    );
+
+    Object.entries(incoming.games).forEach(([gameType, stats]) => {
+      if (merged.games[gameType]) {
+        this.mergeRecords(merged.games[gameType], stats);
+      } else {
+        merged.games[gameType] = this.cloneData(stats);
+      }
+    });
+
+    const achievementIds = new Set(merged.achievements.map((a) => a.id));
+    incoming.achievements
+      .filter((a) => !achievementIds.has(a.id))
+      .forEach((a) => merged.achievements.push(this.cloneData(a)));
+
+    const deckIds = new Set(merged.customDecks.map((d) => d.id));
+    incoming.customDecks
+      .filter((d) => !deckIds.has(d.id))
+      .forEach((d) => merged.customDecks.push(this.cloneData(d)));
+
+    return merged;
+  }
+
+  // Mode and concept records keep their own bests, so nested records are
+  // merged too
+  mergeRecords(target, source) {
+    Object.keys(source).forEach((key) => {
+      if (
+        ["highScore", "bestLevel", "longestChain"].includes(key) &&
+        typeof source[key] === "number"
+      ) {
+        target[key] = Math.max(target[key] || 0, source[key]);
+      } else if (key === "vocabulary" && source.vocabulary instanceof Set) {
+        target.vocabulary = new Set([
+          ...(target.vocabulary || []),
+          ...source.vocabulary,
+        ]);
+      } else if (
+        this.isPlainObject(target[key]) &&
+        this.isPlainObject(source[key])
+      ) {
+        this.mergeRecords(target[key], source[key]);
+      }
+    });
+  }
+
+  describeImportChanges(before, after) {
+    const beforeKeys = new Set(
+      before.sessions.map((s) => this.getSessionKey(s))
+    );
+    const afterKeys = new Set(after.sessions.map((s) => this.getSessionKey(s)));
+    const beforeAchievements = new Set(before.achievements.map((a) => a.id));
+    const afterAchievements = new Set(after.achievements.map((a) => a.id));
+
+    const highScores = [];
+    new Set([
+      ...Object.keys(before.games),
+      ...Object.keys(after.games),
+    ]).forEach((gameType) => {
+      const from = before.games[gameType]?.highScore || 0;
+      const to = after.games[gameType]?.highScore || 0;
+      if (from !== to) {
+        highScores.push({ gameType, before: from, after: to });
+      }
+    });
+
+    return {
+      sessions: {
+        before: before.sessions.length,
+        after: after.sessions.length,
+        added: [...afterKeys].filter((key) => !beforeKeys.has(key)).length,
+        removed: [...beforeKeys].filter((key) => !afterKeys.has(key)).length,
+      },
+      achievements: {
+        added: after.achievements
+          .filter((a) => !beforeAchievements.has(a.id))
+          .map((a) => a.name || a.id),
+        removed: before.achievements
+          .filter((a) => !afterAchievements.has(a.id))
+          .map((a) => a.name || a.id),
+      },
+      highScores,
+    };
+  }
+
   // Statistics Getters
   getGameStats(gameType) {
     return this.data.games[gameType] || {};
@@ -500,7 +1585,8 @@ class StorageManager {
 
   // Data Management
   clearAllData() {
-    this.data = JSON.parse(JSON.stringify(this.defaultData));
+    this.data = this.cloneData(this.defaultData);
+    this.replaceAllSessions();
     this.saveData();
     localStorage.removeItem(this.settingsKey);
     localStorage.removeItem(this.statsKey);
@@ -508,8 +1594,8 @@ class StorageManager {
 
   clearGameData(gameType) {
     if (this.data.games[gameType]) {
-      this.data.games[gameType] = JSON.parse(
-        JSON.stringify(this.defaultData.games[gameType])
+      this.data.games[gameType] = this.cloneData(
+        this.defaultData.games[gameType]
       );
       this.saveData();
     }
@@ -551,35 +1637,71 @@ class StorageManager {
   }
 
   // Backup and restore
-  createBackup() {
+  // A passphrase keeps the backup encrypted in localStorage. The session
+  // history stays in its own store rather than filling localStorage, and
+  // restoring keeps it.
+  async createBackup(passphrase = null) {
+    const { sessions, ...data } = this.serialize(this.data);
+    const json = this.buildExport(data, this.getActiveProfile());
     const backup = {
       timestamp: Date.now(),
-      data: this.exportData(),
+      data: passphrase ? await this.cipher.encrypt(json, passphrase) : json,
+      encrypted: Boolean(passphrase),
+      withoutSessions: true,
     };
 
-    const backups = JSON.parse(
-      localStorage.getItem("memorypal-backups") || "[]"
-    );
-    backups.push(backup);
+    return this.storeBackup(backup);
+  }
 
-    // Keep only last 5 backups
-    if (backups.length > 5) {
-      backups.shift();
-    }
+  // Backups of every profile share one list; each profile keeps its last 5
+  storeBackup(backup) {
+    const profileId = this.profiles.activeProfileId;
+    const backups = [...this.readBackups(), { ...backup, profileId }];
+    const own = backups.filter((b) => this.getBackupProfile(b) === profileId);
+    const expired = own.slice(0, Math.max(0, own.length - 5));
 
-    localStorage.setItem("memorypal-backups", JSON.stringify(backups));
+    return this.writeBackups(backups.filter((b) => !expired.includes(b)));
   }
 
   getBackups() {
-    return JSON.parse(localStorage.getItem("memorypal-backups") || "[]");
+    return this.readBackups().filter(
+      (b) => this.getBackupProfile(b) === this.profiles.activeProfileId
+    );
+  }
+
+  // Backups made before profiles existed belong to the first profile
+  getBackupProfile(backup) {
+    return backup.profileId || "main";
+  }
+
+  readBackups() {
+    try {
+      return JSON.parse(localStorage.getItem(this.backupsKey) || "[]");
+    } catch (error) {
+      console.warn("Failed to read backups:", error);
+      return [];
+    }
+  }
+
+  writeBackups(backups) {
+    try {
+      localStorage.setItem(this.backupsKey, JSON.stringify(backups));
+      return true;
+    } catch (error) {
+      console.error("Failed to store backup:", error);
+      return false;
+    }
   }
 
-  restoreBackup(timestamp) {
+  async restoreBackup(timestamp) {
     const backups = this.getBackups();
     const backup = backups.find((b) => b.timestamp === timestamp);
 
     if (backup) {
-      return this.importData(backup.data);
+      return this.importData(
+        backup.data,
+        backup.withoutSessions ? "restore" : "replace"
+      );
     }
 
     return false;
@@ -1,5 +1,5 @@
-const CACHE_NAME = "memorypal-v1.0.0";
-const STATIC_CACHE = "memorypal-static-v1";
+const CACHE_NAME = "memorypal-v1.1.0";
+const STATIC_CACHE = "memorypal-static-v2";
 const DYNAMIC_CACHE = "memorypal-dynamic-v1";
 
 const STATIC_ASSETS = [
@@ -12,9 +12,16 @@ const STATIC_ASSETS = [
   "/scripts/app.js",
   "/scripts/accessibility.js",
   "/scripts/audio.js",
+  "/scripts/storage-adapters.js",
+  "/scripts/passphrase-cipher.js",
   "/scripts/storage.js",
+  "/scripts/random.js",
   "/scripts/games/sequence.js",
+  "/scripts/games/decks.js",
   "/scripts/games/matching.js",
+  "/scripts/games/deck-editor.js",
+  "/scripts/games/patterns.js",
+  "/scripts/games/wordchain.js",
   "/manifest.json",
 ];
 